@@ -14,98 +14,220 @@
  * limitations under the License.
  */
 
+import fs from 'fs'
 import path from 'path'
 import { safeName } from '../utils/file-helpers.js'
+import { runStrategy } from './auth-strategies.js'
+
+// login.storageStatePath, else the per-product file written by --persist-session.
+// capture-session.js writes out/auth/storageState.json: point storageStatePath at it.
+export function storageStatePathFor(loginCfg, authDir, productName) {
+  return (loginCfg?.storageStatePath || path.join(authDir, safeName(productName || 'default') + '_storageState.json'))
+}
 
 export async function performLogin(context, page, loginCfg, persistSession, authDir, productName) {
   if (!loginCfg) return false
 
-  // selectors can be string or array of strings (engines allowed: css=, xpath=, text=, role=, etc.)
-  const getArr = (v) => Array.isArray(v) ? v.filter(Boolean) : (v ? [v] : [])
-
-  const timeoutMs = (typeof loginCfg.timeoutMs === 'number' ? loginCfg.timeoutMs : 45000)
-  const { url, submitSelector, waitFor } = loginCfg
-
-  // Resolve credentials (per-product envs supported)
   const prodKey = (productName || 'default')
-  const safeProd = safeName(prodKey).toUpperCase()
-  const prefix = loginCfg.envPrefix || (`KPI_${safeProd}_`)
-  const userEnvName = loginCfg.usernameEnv || (prefix + 'USER')
-  const passEnvName = loginCfg.passwordEnv || (prefix + 'PASS')
-  let user = loginCfg.username != null ? String(loginCfg.username) : process.env[userEnvName]
-  let pass = loginCfg.password != null ? String(loginCfg.password) : process.env[passEnvName]
-
-  // Build selector candidates, include deep-shadow variants for Vaadin-like fields
-  const usernameSelectors = getArr(loginCfg.usernameSelector || loginCfg.usernameSelectors)
-  const passwordSelectors = getArr(loginCfg.passwordSelector || loginCfg.passwordSelectors)
-  const expandShadow = (sel) => {
-    // If already has engine prefix or '>>>', keep as-is
-    if (/^[a-z]+=/.test(sel) || sel.includes('>>>')) return [sel]
-    // If ID or tag#id, add deep combinator as a fallback
-    const out = [sel]
-    out.push(`css=${sel} >>> input`)
-    return out
-  }
-  const userCandidates = usernameSelectors.flatMap(expandShadow)
-  const passCandidates = passwordSelectors.flatMap(expandShadow)
-
-  async function tryFill(selectorList, value, label) {
-    for (const s of selectorList) {
-      try {
-        console.log(`[login] waiting for ${label} selector: ${s}`)
-        const loc = page.locator(s)
-        await loc.waitFor({ state: 'visible', timeout: timeoutMs })
-        await loc.fill(value, { timeout: timeoutMs })
-        console.log(`[login] filled ${label} with selector: ${s}`)
-        return true
-      } catch (e) {
-        console.warn(`[login] attempt failed for ${label} selector: ${s} -> ${e?.message || e}`)
-      }
-    }
+  const strategy = loginCfg.strategy || 'form'
+  const res = await runStrategy(context, page, loginCfg, prodKey)
+  if (!res.ok) {
+    console.error(`[login] ${strategy} failed for ${prodKey}: ${res.reason || 'unknown reason'}`)
     return false
   }
 
-  if (url) {
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: Math.max(timeoutMs, 30000) })
+  if (!await verifyLogin(context, page, loginCfg)) {
+    console.error(`[login] ${strategy} for ${prodKey}: post-login check failed`)
+    return false
   }
 
-  if (!user || !pass) {
-    console.warn(`[login] Missing credentials for ${prodKey}. Expected envs: ${userEnvName}/${passEnvName}.`)
-    return false
+  if (persistSession) {
+    const storagePath = storageStatePathFor(loginCfg, authDir, prodKey)
+    await context.storageState({ path: storagePath })
+    console.log(`[session] Storage state persisted for ${prodKey} -> ${storagePath}`)
   }
+  console.log(`[login] OK for ${prodKey} (${strategy})`)
+  return true
+}
 
-  // Try to fill username
-  const userOk = await tryFill(userCandidates, user, 'username')
-  // Try to fill password
-  const passOk = await tryFill(passCandidates, pass, 'password')
+// Strategies that set credentials on the context without opening any page
+const NON_NAVIGATING = ['basic', 'header', 'cookie']
 
-  if (!userOk || !passOk) {
-    console.error('[login] Could not locate login fields. Check selectors or use css=... >>> input for shadow DOM.')
-    return false
+// Post-login check: login.failureWhen / login.successWhen on the page the login
+// landed on, and login.sessionProbe when configured. Non-navigating strategies
+// first open the probe (or login.url, expecting a non-error status), then check the conditions there.
+async function verifyLogin(context, page, loginCfg) {
+  if (NON_NAVIGATING.includes(loginCfg.strategy)) {
+    return await probeAfterLogin(page, loginCfg) && checkLoginConditions(context, page, loginCfg)
+  }
+  return await checkLoginConditions(context, page, loginCfg) && probeAfterLogin(page, loginCfg)
+}
+
+// Condition block: { urlMatches: regex, selector: css, cookie: name }
+// successWhen: every given condition must hold; failureWhen: any one of them is enough
+export async function checkLoginConditions(context, page, loginCfg) {
+  const timeoutMs = loginCfg.conditionTimeoutMs ?? 10000
+  const failure = loginCfg.failureWhen
+  if (failure) {
+    // Let a late error message render before looking for it
+    if (failure.selector) await page.waitForTimeout(Math.min(timeoutMs, 1000))
+    const hits = await evalConditions(context, page, failure, 0)
+    const hit = Object.keys(hits).find(k => hits[k])
+    if (hit) {
+      console.error(`[login] failureWhen.${hit} matched (${failure[hit]}) on ${page.url()}`)
+      return false
+    }
+  }
+  const success = loginCfg.successWhen
+  if (success) {
+    const hits = await evalConditions(context, page, success, timeoutMs)
+    const miss = Object.keys(hits).find(k => !hits[k])
+    if (miss) {
+      console.error(`[login] successWhen.${miss} not met (${success[miss]}) on ${page.url()}`)
+      return false
+    }
+  }
+  return true
+}
+
+async function evalConditions(context, page, cond, timeoutMs) {
+  const out = {}
+  if (cond.urlMatches) {
+    if (timeoutMs > 0) {
+      await page.waitForURL(u => new RegExp(cond.urlMatches).test(u.href), { timeout: timeoutMs }).catch(() => {})
+    }
+    out.urlMatches = new RegExp(cond.urlMatches).test(page.url())
+  }
+  if (cond.selector) {
+    if (timeoutMs > 0) {
+      out.selector = await page.locator(cond.selector).first().waitFor({ state: 'visible', timeout: timeoutMs }).then(() => true, () => false)
+    } else {
+      out.selector = await page.locator(cond.selector).first().isVisible().catch(() => false)
+    }
+  }
+  if (cond.cookie) {
+    const names = new Set((await context.cookies()).map(c => c.name))
+    out.cookie = names.has(cond.cookie)
   }
+  return out
+}
 
-  if (submitSelector) {
+async function probeAfterLogin(page, loginCfg) {
+  if (loginCfg.sessionProbe) return probeSession(page, loginCfg.sessionProbe, loginCfg.timeoutMs)
+  if (NON_NAVIGATING.includes(loginCfg.strategy) && loginCfg.url) {
     try {
-      const submitLoc = page.locator(submitSelector)
-      await submitLoc.waitFor({ state: 'visible', timeout: timeoutMs })
-      await submitLoc.click({ timeout: timeoutMs })
-      console.log('[login] submit clicked')
+      const resp = await page.goto(loginCfg.url, { waitUntil: 'domcontentloaded', timeout: Math.max(loginCfg.timeoutMs ?? 0, 30000) })
+      return !!resp && resp.status() < 400
     } catch (e) {
-      console.warn(`[login] submit click failed: ${e?.message || e}`)
+      console.warn(`[login] post-login check failed on ${loginCfg.url}: ${e?.message || e}`)
+      return false
     }
   }
+  return true
+}
 
+// Loads a storageState.json (capture-session.js or --persist-session) into an
+// existing context: cookies directly, localStorage by visiting each origin
+export async function restoreSession(context, page, statePath) {
+  let state
   try {
-    await page.waitForLoadState(waitFor || 'networkidle', { timeout: timeoutMs })
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
   } catch (e) {
-    console.warn(`[login] waitForLoadState(${waitFor || 'networkidle'}) timed out: ${e?.message || e}`)
+    console.warn(`[session] Cannot read ${statePath}: ${e?.message || e}`)
+    return false
   }
-
-  if (persistSession) {
-    const storagePath = (loginCfg.storageStatePath || path.join(authDir, safeName(prodKey) + '_storageState.json'))
-    await context.storageState({ path: storagePath })
-    console.log(`[session] Storage state persisted for ${prodKey} -> ${storagePath}`)
+  // A cookie the browser now rejects (domain, expiry...) voids the stored session: log in again
+  if (Array.isArray(state.cookies) && state.cookies.length) {
+    try {
+      await context.addCookies(state.cookies)
+    } catch (e) {
+      console.warn(`[session] Cannot restore the cookies of ${statePath}: ${e?.message || e}`)
+      try {
+        await context.clearCookies()
+      } catch {}
+      return false
+    }
+  }
+  for (const o of (state.origins || [])) {
+    if (!o?.origin || !Array.isArray(o.localStorage) || !o.localStorage.length) continue
+    try {
+      await page.goto(o.origin, { waitUntil: 'domcontentloaded' })
+      await page.evaluate((items) => {
+        for (const { name, value } of items) window.localStorage.setItem(name, value)
+      }, o.localStorage)
+    } catch (e) {
+      console.warn(`[session] localStorage restore failed for ${o.origin}: ${e?.message || e}`)
+    }
   }
-  console.log(`[login] OK for ${prodKey}`)
+  console.log(`[session] Storage state loaded <- ${statePath}`)
   return true
-}
\ No newline at end of file
+}
+
+// Checks that the current session is authenticated. probe:
+//   url: page to open (required)
+//   selector: element only visible when logged in
+//   status: expected HTTP status (number or list), e.g. 200 when the app answers 401/302 otherwise
+//   urlNotContains: fragment of the login page URL (detects a redirect to the login form)
+export async function probeSession(page, probe, timeoutMs = 15000) {
+  if (!probe?.url) return true
+  try {
+    const resp = await page.goto(probe.url, { waitUntil: 'domcontentloaded', timeout: Math.max(timeoutMs, 30000) })
+    if (probe.status != null) {
+      const expected = Array.isArray(probe.status) ? probe.status : [probe.status]
+      if (!resp || !expected.includes(resp.status())) return false
+    }
+    if (probe.urlNotContains && page.url().includes(probe.urlNotContains)) return false
+    if (probe.selector) {
+      await page.locator(probe.selector).first().waitFor({ state: 'visible', timeout: probe.timeoutMs ?? timeoutMs })
+    }
+    return true
+  } catch (e) {
+    console.warn(`[session] probe failed on ${probe.url}: ${e?.message || e}`)
+    return false
+  }
+}
+
+// A restored session is only trusted once checked: login.sessionProbe, else
+// login.successWhen/failureWhen on login.url (an app sends a logged-in user on).
+// null when neither is configured.
+async function verifyStoredSession(context, page, loginCfg) {
+  if (loginCfg.sessionProbe) return probeSession(page, loginCfg.sessionProbe, loginCfg.timeoutMs)
+  if (!loginCfg.successWhen || !loginCfg.url) return null
+  try {
+    await page.goto(loginCfg.url, { waitUntil: 'domcontentloaded', timeout: Math.max(loginCfg.timeoutMs ?? 0, 30000) })
+  } catch (e) {
+    console.warn(`[session] check failed on ${loginCfg.url}: ${e?.message || e}`)
+    return false
+  }
+  return checkLoginConditions(context, page, loginCfg)
+}
+
+// Starts from the stored session when there is one and it is verified
+// (verifyStoredSession), otherwise replays performLogin and refreshes the file
+export async function ensureSession(context, page, loginCfg, persistSession, authDir, productName) {
+  if (!loginCfg) return false
+  const prodKey = (productName || 'default')
+  const statePath = storageStatePathFor(loginCfg, authDir, prodKey)
+
+  if (loginCfg.reuseSession !== false && fs.existsSync(statePath)) {
+    if (await restoreSession(context, page, statePath)) {
+      const valid = await verifyStoredSession(context, page, loginCfg)
+      if (valid) {
+        console.log(`[session] Stored session still valid for ${prodKey}`)
+        return true
+      }
+      if (valid === null) {
+        console.warn(`[session] No login.sessionProbe nor login.successWhen for ${prodKey}: stored session cannot be verified, logging in again`)
+      } else {
+        console.warn(`[session] Stored session expired for ${prodKey}, logging in again`)
+      }
+      try {
+        await context.clearCookies()
+      } catch {}
+    }
+    // The file exists: keep it fresh even without --persist-session
+    persistSession = true
+  }
+
+  return performLogin(context, page, loginCfg, persistSession, authDir, prodKey)
+}
@@ -0,0 +1,315 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { safeName } from '../utils/file-helpers.js'
+import { totp, totpSecondsLeft } from '../utils/totp.js'
+
+// Login strategies, selected with login.strategy (default: form).
+// Each strategy returns { ok, reason }; performLogin then runs the post-login check.
+export const AUTH_STRATEGIES = ['form', 'basic', 'header', 'cookie', 'oidc-form', 'script']
+
+// selectors can be string or array of strings (engines allowed: css=, xpath=, text=, role=, etc.)
+const getArr = (v) => Array.isArray(v) ? v.filter(Boolean) : (v ? [v] : [])
+
+export function loginTimeout(loginCfg) {
+  return (typeof loginCfg.timeoutMs === 'number' ? loginCfg.timeoutMs : 45000)
+}
+
+// Per-product env names: KPI_<PRODUCT>_<SUFFIX> unless login.envPrefix is set
+export function envName(loginCfg, productName, suffix) {
+  const safeProd = safeName(productName || 'default').toUpperCase()
+  const prefix = loginCfg.envPrefix || (`KPI_${safeProd}_`)
+  return prefix + suffix
+}
+
+function resolveCredentials(loginCfg, productName) {
+  const userEnvName = loginCfg.usernameEnv || envName(loginCfg, productName, 'USER')
+  const passEnvName = loginCfg.passwordEnv || envName(loginCfg, productName, 'PASS')
+  return {
+    user: loginCfg.username != null ? String(loginCfg.username) : process.env[userEnvName],
+    pass: loginCfg.password != null ? String(loginCfg.password) : process.env[passEnvName],
+    userEnvName,
+    passEnvName
+  }
+}
+
+// Fills username/password and submits on the current page (login form or IdP page)
+async function fillCredentials(page, loginCfg, productName) {
+  const timeoutMs = loginTimeout(loginCfg)
+  const { user, pass, userEnvName, passEnvName } = resolveCredentials(loginCfg, productName)
+  if (!user || !pass) {
+    console.warn(`[login] Missing credentials for ${productName}. Expected envs: ${userEnvName}/${passEnvName}.`)
+    return { ok: false, reason: `missing credentials (${userEnvName}/${passEnvName})` }
+  }
+
+  // Build selector candidates, include deep-shadow variants for Vaadin-like fields
+  const usernameSelectors = getArr(loginCfg.usernameSelector || loginCfg.usernameSelectors)
+  const passwordSelectors = getArr(loginCfg.passwordSelector || loginCfg.passwordSelectors)
+  const expandShadow = (sel) => {
+    // If already has engine prefix or '>>>', keep as-is
+    if (/^[a-z]+=/.test(sel) || sel.includes('>>>')) return [sel]
+    // If ID or tag#id, add deep combinator as a fallback
+    const out = [sel]
+    out.push(`css=${sel} >>> input`)
+    return out
+  }
+  const userCandidates = usernameSelectors.flatMap(expandShadow)
+  const passCandidates = passwordSelectors.flatMap(expandShadow)
+
+  async function tryFill(selectorList, value, label) {
+    for (const s of selectorList) {
+      try {
+        console.log(`[login] waiting for ${label} selector: ${s}`)
+        const loc = page.locator(s)
+        await loc.waitFor({ state: 'visible', timeout: timeoutMs })
+        await loc.fill(value, { timeout: timeoutMs })
+        console.log(`[login] filled ${label} with selector: ${s}`)
+        return true
+      } catch (e) {
+        console.warn(`[login] attempt failed for ${label} selector: ${s} -> ${e?.message || e}`)
+      }
+    }
+    return false
+  }
+
+  // Try to fill username
+  const userOk = await tryFill(userCandidates, user, 'username')
+  // Try to fill password
+  const passOk = await tryFill(passCandidates, pass, 'password')
+
+  if (!userOk || !passOk) {
+    console.error('[login] Could not locate login fields. Check selectors or use css=... >>> input for shadow DOM.')
+    return { ok: false, reason: 'login fields not found' }
+  }
+
+  await clickIfPresent(page, loginCfg.submitSelector, timeoutMs, 'submit')
+  if (loginCfg.totp) return submitTotp(page, loginCfg, productName)
+  return { ok: true }
+}
+
+// Second factor after the password step:
+//   totp: { secretEnv (default KPI_<PRODUCT>_TOTP), codeSelector, submitSelector, digits, period, algorithm }
+async function submitTotp(page, loginCfg, productName) {
+  const t = loginCfg.totp
+  const timeoutMs = loginTimeout(loginCfg)
+  const secretEnv = t.secretEnv || envName(loginCfg, productName, 'TOTP')
+  const secret = process.env[secretEnv]
+  if (!secret) {
+    console.warn(`[login] Missing TOTP secret for ${productName}. Expected env: ${secretEnv}.`)
+    return { ok: false, reason: `missing TOTP secret (${secretEnv})` }
+  }
+  if (!t.codeSelector) return { ok: false, reason: 'login.totp needs codeSelector' }
+
+  try {
+    await page.locator(t.codeSelector).first().waitFor({ state: 'visible', timeout: timeoutMs })
+  } catch {
+    return { ok: false, reason: `TOTP field not found (${t.codeSelector})` }
+  }
+  const options = { digits: t.digits ?? 6, period: t.period ?? 30, algorithm: t.algorithm || 'sha1' }
+  // A code about to expire may be rejected by the time it is submitted: wait for the next one
+  const left = totpSecondsLeft(options.period)
+  if (left < 3) await page.waitForTimeout(left * 1000 + 200)
+  let code
+  try {
+    code = totp(secret, options)
+  } catch (e) {
+    return { ok: false, reason: e?.message || String(e) }
+  }
+  await page.locator(t.codeSelector).first().fill(code, { timeout: timeoutMs })
+  console.log('[login] TOTP code filled')
+  await clickIfPresent(page, t.submitSelector, timeoutMs, 'TOTP submit')
+  return { ok: true }
+}
+
+async function clickIfPresent(page, selector, timeoutMs, label) {
+  if (!selector) return false
+  try {
+    const loc = page.locator(selector)
+    await loc.waitFor({ state: 'visible', timeout: timeoutMs })
+    await loc.click({ timeout: timeoutMs })
+    console.log(`[login] ${label} clicked`)
+    return true
+  } catch (e) {
+    console.warn(`[login] ${label} click failed: ${e?.message || e}`)
+    return false
+  }
+}
+
+async function waitForSettle(page, loginCfg) {
+  const waitFor = loginCfg.waitFor || 'networkidle'
+  try {
+    await page.waitForLoadState(waitFor, { timeout: loginTimeout(loginCfg) })
+  } catch (e) {
+    console.warn(`[login] waitForLoadState(${waitFor}) timed out: ${e?.message || e}`)
+  }
+}
+
+async function gotoLoginUrl(page, loginCfg) {
+  if (loginCfg.url) {
+    await page.goto(loginCfg.url, { waitUntil: 'domcontentloaded', timeout: Math.max(loginTimeout(loginCfg), 30000) })
+  }
+}
+
+// Username/password form on the application itself
+async function formStrategy(context, page, loginCfg, productName) {
+  await gotoLoginUrl(page, loginCfg)
+  const res = await fillCredentials(page, loginCfg, productName)
+  if (!res.ok) return res
+  await waitForSettle(page, loginCfg)
+  return { ok: true }
+}
+
+// HTTP Basic: answered by the browser on each 401 challenge, never sent unasked
+async function basicStrategy(context, page, loginCfg, productName) {
+  const { user, pass, userEnvName, passEnvName } = resolveCredentials(loginCfg, productName)
+  if (!user || !pass) {
+    console.warn(`[login] Missing credentials for ${productName}. Expected envs: ${userEnvName}/${passEnvName}.`)
+    return { ok: false, reason: `missing credentials (${userEnvName}/${passEnvName})` }
+  }
+  await context.setHTTPCredentials({ username: user, password: pass })
+  return { ok: true }
+}
+
+// Pre-issued token sent as a header on the requests to the origin of login.url only,
+// so third-party hosts never see it
+//   tokenEnv (default KPI_<PRODUCT>_TOKEN), headerName (Authorization), headerPrefix ("Bearer ")
+const headerRoutes = new WeakMap()
+
+async function headerStrategy(context, page, loginCfg, productName) {
+  if (!loginCfg.url) return { ok: false, reason: 'header strategy needs login.url (the header is only sent to its origin)' }
+  const tokenEnv = loginCfg.tokenEnv || envName(loginCfg, productName, 'TOKEN')
+  const token = loginCfg.token != null ? String(loginCfg.token) : process.env[tokenEnv]
+  if (!token) {
+    console.warn(`[login] Missing token for ${productName}. Expected env: ${tokenEnv}.`)
+    return { ok: false, reason: `missing token (${tokenEnv})` }
+  }
+  const headerName = loginCfg.headerName || 'Authorization'
+  const headerPrefix = loginCfg.headerPrefix ?? 'Bearer '
+  const origin = new URL(loginCfg.url).origin
+  const matcher = (u) => u.origin === origin
+  const handler = (route) => route.continue({ headers: { ...route.request().headers(), [headerName]: headerPrefix + token } })
+  await removeHeaderRoute(context)
+  await context.route(matcher, handler)
+  headerRoutes.set(context, { matcher, handler })
+  return { ok: true }
+}
+
+async function removeHeaderRoute(context) {
+  const r = headerRoutes.get(context)
+  if (!r) return
+  headerRoutes.delete(context)
+  await context.unroute(r.matcher, r.handler)
+}
+
+// SSO cookie(s) injected as is:
+//   cookies: [{ name, valueEnv, domain, path }]  or  cookieName + cookieEnv (default KPI_<PRODUCT>_COOKIE)
+// Without a domain, the cookie is scoped to login.url
+async function cookieStrategy(context, page, loginCfg, productName) {
+  const list = Array.isArray(loginCfg.cookies) && loginCfg.cookies.length
+    ? loginCfg.cookies
+    : [{ name: loginCfg.cookieName, valueEnv: loginCfg.cookieEnv || envName(loginCfg, productName, 'COOKIE'), domain: loginCfg.cookieDomain }]
+  const cookies = []
+  for (const c of list) {
+    const value = c.value != null ? String(c.value) : process.env[c.valueEnv]
+    if (!c.name || !value) {
+      console.warn(`[login] Missing cookie ${c.name || '(no name)'} for ${productName}. Expected env: ${c.valueEnv}.`)
+      return { ok: false, reason: `missing cookie ${c.name || ''}`.trim() }
+    }
+    const cookie = { name: c.name, value, secure: c.secure ?? !String(loginCfg.url || '').startsWith('http:'), httpOnly: c.httpOnly ?? true }
+    if (c.domain) {
+      cookie.domain = c.domain
+      cookie.path = c.path || '/'
+    } else if (loginCfg.url) {
+      cookie.url = new URL(loginCfg.url).origin
+    } else {
+      return { ok: false, reason: `cookie ${c.name} needs a domain or login.url` }
+    }
+    cookies.push(cookie)
+  }
+  await context.addCookies(cookies)
+  return { ok: true }
+}
+
+// Keycloak/OIDC: the app redirects to the IdP, credentials are filled there,
+// an optional consent screen is accepted, then we wait to be back on the app.
+//   url: application entry point, consentSelector, returnUrlContains (default: origin of url)
+async function oidcFormStrategy(context, page, loginCfg, productName) {
+  if (!loginCfg.url) return { ok: false, reason: 'oidc-form needs login.url' }
+  const timeoutMs = loginTimeout(loginCfg)
+  await gotoLoginUrl(page, loginCfg)
+  const res = await fillCredentials(page, loginCfg, productName)
+  if (!res.ok) return res
+  if (loginCfg.consentSelector) {
+    await page.waitForLoadState('domcontentloaded', { timeout: timeoutMs }).catch(() => {})
+    await clickIfPresent(page, loginCfg.consentSelector, Math.min(timeoutMs, 10000), 'consent')
+  }
+  const back = loginCfg.returnUrlContains || new URL(loginCfg.url).origin
+  try {
+    await page.waitForURL(u => u.href.includes(back), { timeout: timeoutMs })
+  } catch {
+    return { ok: false, reason: `not redirected back to ${back} (now on ${page.url()})` }
+  }
+  await waitForSettle(page, loginCfg)
+  return { ok: true }
+}
+
+// User module: default export async (context, page, cfg) => boolean | { ok, reason } | undefined
+// login.script is resolved from the current working directory
+async function scriptStrategy(context, page, loginCfg, productName) {
+  if (!loginCfg.script) return { ok: false, reason: 'script strategy needs login.script' }
+  const mod = await import(pathToFileURL(path.resolve(loginCfg.script)).href)
+  const fn = mod.default || mod.login
+  if (typeof fn !== 'function') return { ok: false, reason: `${loginCfg.script} has no default export` }
+  const out = await fn(context, page, { ...loginCfg, product: productName })
+  if (out === undefined || out === true) return { ok: true }
+  if (out === false) return { ok: false, reason: 'script returned false' }
+  return { ok: !!out.ok, reason: out.reason }
+}
+
+const strategies = {
+  form: formStrategy,
+  basic: basicStrategy,
+  header: headerStrategy,
+  cookie: cookieStrategy,
+  'oidc-form': oidcFormStrategy,
+  script: scriptStrategy
+}
+
+export async function runStrategy(context, page, loginCfg, productName) {
+  const name = loginCfg.strategy || 'form'
+  const strategy = strategies[name]
+  if (!strategy) {
+    return { ok: false, reason: `unknown login.strategy "${name}" (expected one of ${AUTH_STRATEGIES.join(', ')})` }
+  }
+  try {
+    return await strategy(context, page, loginCfg, productName)
+  } catch (e) {
+    return { ok: false, reason: e?.message || String(e) }
+  }
+}
+
+// Undoes the context-wide side effects of basic/header, so a shared context
+// does not carry them over to the next product
+export async function resetAuthStrategy(context) {
+  try {
+    await context.setHTTPCredentials(null)
+  } catch {}
+  try {
+    await removeHeaderRoute(context)
+  } catch {}
+}
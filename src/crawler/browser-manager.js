@@ -15,23 +15,53 @@
  */
 
 import { chromium } from 'playwright'
-import path from 'path'
 
+function contextOptions(cfg) {
+  const opts = {
+    ignoreHTTPSErrors: !!cfg.runtime?.ignoreHTTPSErrors,
+  }
+  if (cfg.runtime?.viewport) opts.viewport = cfg.runtime.viewport
+  if (cfg.runtime?.userAgent) opts.userAgent = cfg.runtime.userAgent
+  return opts
+}
+
+function preparePage(page, cfg) {
+  if (cfg.runtime?.navigationTimeoutMs) {
+    page.setDefaultNavigationTimeout(cfg.runtime.navigationTimeoutMs)
+  }
+  return page
+}
+
+// Single persistent context (runtime.userDataDir profile), used when crawling sequentially
 export async function createBrowserContext(cfg, userDataDir) {
   const context = await chromium.launchPersistentContext(userDataDir, {
     headless: cfg.runtime?.headless !== false,
-    ignoreHTTPSErrors: !!cfg.runtime?.ignoreHTTPSErrors,
+    ...contextOptions(cfg)
   })
   
-  const page = context.pages()[0] || await context.newPage()
-  
-  if (cfg.runtime?.navigationTimeoutMs) {
-    page.setDefaultNavigationTimeout(cfg.runtime.navigationTimeoutMs)
-  }
+  const page = preparePage(context.pages()[0] || await context.newPage(), cfg)
   
   return { context, page }
 }
 
+// Browser for the worker pool (runtime.concurrency > 1): each worker gets an
+// isolated context, so cookies and login state never leak between products
+export async function launchBrowser(cfg) {
+  return chromium.launch({
+    headless: cfg.runtime?.headless !== false
+  })
+}
+
+export async function createIsolatedContext(browser, cfg) {
+  const context = await browser.newContext(contextOptions(cfg))
+  const page = preparePage(await context.newPage(), cfg)
+  return { context, page }
+}
+
 export async function closeBrowserContext(context) {
   await context.close()
+}
+
+export async function closeBrowser(browser) {
+  await browser.close()
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// JS and CSS code coverage of a capture (Chromium only, through Playwright's page.coverage).
+// Coverage spans the navigation and the scenario steps. Opt-in (runtime.coverage: true):
+// precise JS coverage slows script execution, which would inflate cpuTimeMs, long tasks
+// and the device energy measured in the same capture.
+// Sizes are decoded source bytes, not transferred bytes.
+
+const NOOP = { stop: async () => null }
+
+// V8 block coverage: ranges nest (a function, then its blocks), inner ranges
+// override outer ones. Applying them outer-first leaves the final state per byte.
+function usedJsBytes(entry) {
+  const length = entry.source?.length || 0
+  if (!length) return 0
+  const ranges = entry.functions.flatMap(f => f.ranges)
+    .sort((a, b) => a.startOffset - b.startOffset || (b.endOffset - b.startOffset) - (a.endOffset - a.startOffset))
+  const used = new Uint8Array(length)
+  for (const r of ranges) used.fill(r.count > 0 ? 1 : 0, r.startOffset, Math.min(r.endOffset, length))
+  return used.reduce((a, b) => a + b, 0)
+}
+
+// CSS coverage only lists the used ranges; they may overlap
+function usedCssBytes(entry) {
+  const ranges = [...(entry.ranges || [])].sort((a, b) => a.start - b.start)
+  let used = 0
+  let end = 0
+  for (const r of ranges) {
+    if (r.end <= end) continue
+    used += r.end - Math.max(r.start, end)
+    end = r.end
+  }
+  return used
+}
+
+// One line per file and type; inline scripts/styles of the document share the page URL
+function summarize(jsEntries, cssEntries) {
+  const files = new Map()
+  const add = (type, url, totalBytes, usedBytes) => {
+    const key = `${type} ${url}`
+    const f = files.get(key) || { type, url: url || '(inline)', totalBytes: 0, usedBytes: 0 }
+    f.totalBytes += totalBytes
+    f.usedBytes += usedBytes
+    files.set(key, f)
+  }
+  for (const e of jsEntries) add('js', e.url, e.source?.length || 0, usedJsBytes(e))
+  for (const e of cssEntries) add('css', e.url, e.text?.length || 0, usedCssBytes(e))
+  return [...files.values()]
+    .filter(f => f.totalBytes > 0)
+    .map(f => ({ ...f, unusedBytes: f.totalBytes - f.usedBytes }))
+    .sort((a, b) => b.unusedBytes - a.unusedBytes)
+}
+
+export async function startCoverage(page, cfg) {
+  if (cfg?.runtime?.coverage !== true || !page.coverage) return NOOP
+  try {
+    await page.coverage.startJSCoverage({ resetOnNavigation: false })
+    await page.coverage.startCSSCoverage({ resetOnNavigation: false })
+  } catch (e) {
+    console.warn(`[coverage] not available: ${e?.message || e}`)
+    try { await page.coverage.stopJSCoverage() } catch {}
+    return NOOP
+  }
+
+  // Both must be stopped, or the next capture cannot start them again
+  async function stop() {
+    let js = null
+    let css = null
+    try { js = await page.coverage.stopJSCoverage() } catch {}
+    try { css = await page.coverage.stopCSSCoverage() } catch {}
+    return (js || css) ? summarize(js || [], css || []) : null
+  }
+
+  return { stop }
+}
+
+// Cumulative coverage of several captures (journey steps). Ranges are not kept, so a
+// file seen in several steps keeps its best-covered capture (a lower bound of the union).
+export function mergeCoverage(list) {
+  const runs = list.filter(Boolean)
+  if (!runs.length) return null
+  const files = new Map()
+  for (const f of runs.flat()) {
+    const key = `${f.type} ${f.url}`
+    const prev = files.get(key)
+    if (!prev || f.usedBytes > prev.usedBytes) files.set(key, f)
+  }
+  return [...files.values()].sort((a, b) => b.unusedBytes - a.unusedBytes)
+}
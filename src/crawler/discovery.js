@@ -0,0 +1,221 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import zlib from 'zlib'
+
+// Discovery mode (targets[].discover): enumerates same-origin pages from a
+// sitemap and/or by following links from a start URL.
+//
+//   discover:
+//     startUrl: "https://monsite.fr/"
+//     sitemap: "https://monsite.fr/sitemap.xml"   # sitemap index supported, .gz too
+//     maxDepth: 2            # link hops from startUrl
+//     maxPages: 20           # pages kept after filtering and deduplication
+//     include: ["/blog/"]    # regexes on the full URL (any must match)
+//     exclude: ["/tag/"]     # regexes on the full URL (none must match)
+//     templates: ["/product/*"]  # one sample per pattern (in addition to automatic ids)
+//     maxFetches: 100        # pages downloaded while following links (default 5 x maxPages)
+//
+// Fetching goes through context.request: it shares the context cookies but not
+// the browser HTTP cache, so measurements stay cold. Links added by JavaScript are not seen.
+
+const NON_HTML = /\.(css|js|mjs|json|xml|txt|png|jpe?g|webp|gif|avif|svg|ico|woff2?|ttf|otf|mp4|webm|mp3|pdf|zip|gz|docx?|xlsx?|pptx?|csv)(\?|$)/i
+
+const toList = (v) => Array.isArray(v) ? v.filter(Boolean) : (v ? [v] : [])
+
+// Path segments that look like identifiers collapse to '*', so /product/123 and
+// /product/456 share the template /product/*
+function isIdSegment(seg) {
+  return /^\d+$/.test(seg) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(seg) ||
+    /^[0-9a-f]{12,}$/i.test(seg) ||
+    /^[\w-]*\d{3,}[\w-]*$/.test(seg)
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]+')
+  return new RegExp('^' + escaped + '/?$')
+}
+
+export function urlTemplate(url, templates = []) {
+  const u = new URL(url)
+  for (const t of templates) {
+    if (globToRegExp(t).test(u.pathname)) return u.origin + t
+  }
+  return u.origin + u.pathname.split('/').map(seg => isIdSegment(seg) ? '*' : seg).join('/')
+}
+
+// Drops the fragment; the query string is kept (it may select different content)
+function normalizeUrl(href, base) {
+  try {
+    const u = new URL(href, base)
+    if (!/^https?:$/.test(u.protocol)) return null
+    u.hash = ''
+    return u.href
+  } catch {
+    return null
+  }
+}
+
+// Page name from its path; malformed percent-encoding (%E0%A4%A) keeps the raw path
+function readablePath(p) {
+  try {
+    return decodeURI(p)
+  } catch {
+    return p
+  }
+}
+
+async function fetchText(request, url) {
+  const resp = await request.get(url, { failOnStatusCode: false, timeout: 30000 })
+  if (!resp.ok()) throw new Error(`HTTP ${resp.status()}`)
+  const body = await resp.body()
+  const gz = /\.gz(\?|$)/i.test(url) && body[0] === 0x1f && body[1] === 0x8b
+  return { text: (gz ? zlib.gunzipSync(body) : body).toString('utf8'), contentType: resp.headers()['content-type'] || '' }
+}
+
+function xmlLocs(xml) {
+  return [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+    .map(m => m[1].replace(/&amp;/g, '&'))
+}
+
+// Flattens sitemap indexes (bounded, to avoid loops). Each sitemap fetch is paced
+// and counted like a page visit when `politeness` is given.
+async function sitemapUrls(context, sitemapUrl, politeness, maxSitemaps = 50) {
+  const queue = [sitemapUrl]
+  const seen = new Set()
+  const urls = []
+  while (queue.length && seen.size < maxSitemaps) {
+    const sm = queue.shift()
+    if (seen.has(sm)) continue
+    if (politeness?.exhausted()) break
+    seen.add(sm)
+    try {
+      if (politeness) {
+        await politeness.waitTurn(context, sm)
+        politeness.spend(1)
+      }
+      const { text } = await fetchText(context.request, sm)
+      if (/<sitemapindex[\s>]/i.test(text)) queue.push(...xmlLocs(text))
+      else urls.push(...xmlLocs(text))
+    } catch (e) {
+      console.warn(`[discover] sitemap ${sm} failed: ${e?.message || e}`)
+    }
+  }
+  return urls
+}
+
+function htmlLinks(html, base) {
+  const baseTag = html.match(/<base\s[^>]*href\s*=\s*["']([^"']+)["']/i)
+  const effectiveBase = baseTag ? normalizeUrl(baseTag[1], base) || base : base
+  return [...html.matchAll(/<a\s[^>]*?href\s*=\s*["']([^"'#][^"']*)["']/gi)]
+    .map(m => normalizeUrl(m[1].replace(/&amp;/g, '&'), effectiveBase))
+    .filter(Boolean)
+}
+
+// Returns { pages, stats }: pages are ready for crawlTarget (name = URL path),
+// stats summarise what was found and why URLs were left out.
+// `politeness` (createPoliteness) paces the link crawl and keeps it out of robots.txt disallowed paths.
+export async function discoverPages(context, target, cfg, politeness = null) {
+  const d = target.discover || {}
+  const maxPages = d.maxPages ?? 20
+  const maxDepth = d.maxDepth ?? 2
+  const maxFetches = d.maxFetches ?? maxPages * 5
+  const include = toList(d.include).map(r => new RegExp(r))
+  const exclude = toList(d.exclude).map(r => new RegExp(r))
+  const templates = toList(d.templates)
+  const origin = new URL(d.startUrl || d.sitemap).origin
+  const known = new Set((target.pages || []).map(p => normalizeUrl(p.url)))
+
+  const stats = { found: 0, offOrigin: 0, filtered: 0, duplicateTemplates: 0, kept: 0, truncated: 0, notFollowed: 0 }
+  const seenUrls = new Set()
+  const seenTemplates = new Set()
+  const kept = []
+
+  // Returns true when the URL is kept as a page to measure
+  const consider = (url) => {
+    if (!url || seenUrls.has(url)) return false
+    seenUrls.add(url)
+    stats.found++
+    if (new URL(url).origin !== origin) { stats.offOrigin++; return false }
+    if (NON_HTML.test(url) || known.has(url) ||
+      (include.length && !include.some(r => r.test(url))) ||
+      exclude.some(r => r.test(url))) { stats.filtered++; return false }
+    const tpl = urlTemplate(url, templates)
+    if (seenTemplates.has(tpl)) { stats.duplicateTemplates++; return false }
+    if (kept.length >= maxPages) { stats.truncated++; return false }
+    seenTemplates.add(tpl)
+    kept.push(url)
+    return true
+  }
+
+  if (d.sitemap) {
+    for (const url of await sitemapUrls(context, d.sitemap, politeness)) consider(normalizeUrl(url))
+  }
+
+  if (d.startUrl) {
+    // Breadth-first over links; pages filtered out are still followed
+    let frontier = [normalizeUrl(d.startUrl)]
+    consider(frontier[0])
+    const visited = new Set()
+    let fetches = 0
+    for (let depth = 0; depth < maxDepth && frontier.length && kept.length < maxPages && fetches < maxFetches; depth++) {
+      const next = []
+      for (const url of frontier) {
+        if (fetches >= maxFetches || politeness?.exhausted()) break
+        if (visited.has(url) || new URL(url).origin !== origin || NON_HTML.test(url)) continue
+        visited.add(url)
+        // robots.txt also governs which pages are fetched to follow their links
+        if (politeness && !(await politeness.check(context, url)).allowed) {
+          stats.notFollowed++
+          continue
+        }
+        fetches++
+        try {
+          if (politeness) {
+            await politeness.waitTurn(context, url)
+            politeness.spend(1)
+          }
+          const { text, contentType } = await fetchText(context.request, url)
+          if (!/html/i.test(contentType)) continue
+          for (const link of htmlLinks(text, url)) {
+            consider(link)
+            next.push(link)
+          }
+        } catch (e) {
+          console.warn(`[discover] ${url}: ${e?.message || e}`)
+        }
+      }
+      frontier = next
+    }
+  }
+
+  stats.kept = kept.length
+  const pages = kept.map(url => {
+    const u = new URL(url)
+    return {
+      name: readablePath(u.pathname + u.search),
+      url,
+      weight: d.weight,
+      auth: d.auth,
+      steps: d.steps,
+      profiles: d.profiles,
+      discovered: true
+    }
+  })
+  console.log(`[discover] ${target.product}: ${stats.kept} pages kept / ${stats.found} URLs found (off-origin ${stats.offOrigin}, filtered ${stats.filtered}, same template ${stats.duplicateTemplates}, over maxPages ${stats.truncated}, not followed per robots.txt ${stats.notFollowed})`)
+  return { pages, stats }
+}
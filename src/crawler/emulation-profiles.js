@@ -0,0 +1,119 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Device + network emulation profiles, applied through CDP on an existing page.
+// network: throughput in kbit/s, latency = added round-trip time in ms.
+// cpuThrottling: slowdown factor (1 = no throttling, 4 = 4x slower).
+export const BUILTIN_PROFILES = {
+  'desktop-fibre': {
+    viewport: { width: 1366, height: 768 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    cpuThrottling: 1,
+    network: { downloadKbps: 100000, uploadKbps: 50000, latencyMs: 5 }
+  },
+  'desktop-adsl': {
+    viewport: { width: 1366, height: 768 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    cpuThrottling: 1,
+    network: { downloadKbps: 8000, uploadKbps: 1000, latencyMs: 30 }
+  },
+  'mobile-4G-pixel-7': {
+    viewport: { width: 412, height: 915 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36',
+    cpuThrottling: 2,
+    network: { downloadKbps: 9000, uploadKbps: 9000, latencyMs: 85 }
+  },
+  // Lighthouse's historical mobile reference device and "regular 3G" link
+  'mobile-3G-moto-g4': {
+    viewport: { width: 360, height: 640 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 7.0; Moto G (4)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36',
+    cpuThrottling: 4,
+    network: { downloadKbps: 1600, uploadKbps: 750, latencyMs: 150 }
+  }
+}
+
+// Custom profiles (emulation.definitions) override built-ins with the same name
+export function resolveProfile(name, cfg) {
+  if (!name) return null
+  const def = cfg?.emulation?.definitions?.[name] || BUILTIN_PROFILES[name]
+  if (!def) throw new Error(`Unknown emulation profile "${name}" (built-in: ${Object.keys(BUILTIN_PROFILES).join(', ')})`)
+  return { name, ...def }
+}
+
+// Profiles to measure a page under: page > target > emulation.profiles > none
+export function profilesForPage(pageCfg, target, cfg) {
+  const list = pageCfg?.profiles || target?.profiles || cfg?.emulation?.profiles
+  return (Array.isArray(list) && list.length) ? list : [null]
+}
+
+// One long-lived CDP session per page: emulation overrides are dropped when
+// the session that set them detaches, so it must outlive the per-capture sessions.
+// The context's own user agent (runtime.userAgent when set) is read before any
+// override, to restore it after a profile that had its own.
+const sessions = new WeakMap()
+
+async function emulationSession(page) {
+  if (!sessions.has(page)) {
+    const contextUserAgent = await page.evaluate(() => navigator.userAgent)
+    const cdp = await page.context().newCDPSession(page)
+    await cdp.send('Network.enable')
+    sessions.set(page, { cdp, contextUserAgent, userAgentOverridden: false })
+  }
+  return sessions.get(page)
+}
+
+// Applies `profile` (from resolveProfile) to the page; null resets to the context defaults
+export async function applyEmulation(page, profile) {
+  if (!profile && !sessions.has(page)) return
+  const session = await emulationSession(page)
+  const { cdp } = session
+
+  if (profile?.viewport) {
+    await cdp.send('Emulation.setDeviceMetricsOverride', {
+      width: profile.viewport.width,
+      height: profile.viewport.height,
+      deviceScaleFactor: profile.deviceScaleFactor ?? 1,
+      mobile: !!profile.isMobile
+    })
+  } else {
+    await cdp.send('Emulation.clearDeviceMetricsOverride')
+  }
+  await cdp.send('Emulation.setTouchEmulationEnabled', { enabled: !!(profile?.hasTouch ?? profile?.isMobile) })
+  // A profile without userAgent keeps the context's one: no override at all
+  if (profile?.userAgent) {
+    await cdp.send('Emulation.setUserAgentOverride', { userAgent: profile.userAgent })
+    session.userAgentOverridden = true
+  } else if (session.userAgentOverridden) {
+    await cdp.send('Emulation.setUserAgentOverride', { userAgent: session.contextUserAgent })
+    session.userAgentOverridden = false
+  }
+  await cdp.send('Emulation.setCPUThrottlingRate', { rate: profile?.cpuThrottling ?? 1 })
+
+  const n = profile?.network
+  await cdp.send('Network.emulateNetworkConditions', {
+    offline: false,
+    latency: n?.latencyMs ?? 0,
+    // CDP expects bytes per second, -1 disables throttling
+    downloadThroughput: n?.downloadKbps ? (n.downloadKbps * 1000) / 8 : -1,
+    uploadThroughput: n?.uploadKbps ? (n.uploadKbps * 1000) / 8 : -1
+  })
+}
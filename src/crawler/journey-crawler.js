@@ -0,0 +1,75 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { startCapture, collectDomInfo, mergeCaptures } from './page-crawler.js'
+import { runSteps } from './scenario-runner.js'
+
+// Drives a single page through the ordered steps of a journey. Each step gets
+// its own network capture bucket; the cumulative capture merges all buckets.
+//
+// journeys:
+//   - name: "Achat"
+//     product: "MonSiteWeb"
+//     steps:
+//       - name: "Recherche"
+//         url: "https://monsiteweb.fr/recherche"
+//         actions:
+//           - action: type
+//             selector: "#q"
+//             text: "lunettes"
+//       - name: "Produit"
+//         actions:
+//           - action: click
+//             selector: ".result a"
+export async function crawlJourney(page, journey, cfg) {
+  const settleMs = cfg.runtime?.settleAfterMs ?? 2500
+  const steps = []
+
+  for (const [i, step] of (journey.steps || []).entries()) {
+    const name = step.name || `step-${i + 1}`
+    const capture = await startCapture(page, cfg)
+    let stepResults = []
+    let error = null
+    try {
+      if (step.url) await page.goto(step.url, { waitUntil: 'domcontentloaded' })
+      if (Array.isArray(step.actions) && step.actions.length) {
+        stepResults = await runSteps(page, step.actions, cfg, `journey:${journey.name}/${name}`)
+      }
+      await page.waitForTimeout(step.settleAfterMs ?? settleMs)
+    } catch (e) {
+      error = e?.message || String(e)
+      console.warn(`[journey] ${journey.name} / ${name} failed: ${error}`)
+    }
+    const captured = await capture.stop()
+    // The page may be unusable after a failed step: its DOM is then left empty
+    // rather than replacing the step error (and losing the steps measured so far)
+    let domInfo = { images: [], iframes: [] }
+    try {
+      domInfo = await collectDomInfo(page)
+    } catch (e) {
+      console.warn(`[journey] ${journey.name} / ${name}: DOM not collected: ${e?.message || e}`)
+    }
+    steps.push({ name, url: page.url(), ...captured, domInfo, stepResults, error })
+    // A broken step leaves the page in an unknown state: stop the journey there
+    if (error) break
+  }
+
+  const cumulative = {
+    ...mergeCaptures(steps),
+    domInfo: steps.length ? steps[steps.length - 1].domInfo : null
+  }
+  return { steps, cumulative, completed: steps.length === (journey.steps || []).length && !steps.some(s => s.error) }
+}
@@ -14,13 +14,75 @@
  * limitations under the License.
  */
 
+import { runSteps } from './scenario-runner.js'
+import { startRuntimeProbe, mergeRuntime } from './runtime-probe.js'
+import { startCoverage, mergeCoverage } from './coverage-probe.js'
 import { isHttp, isStatic, isCompressible, isMinifiedName, isFontUrl, isImageUrl, looksMinifiedContent, parseCacheControl, hostname } from '../utils/network-helpers.js'
 
-export async function crawlPage(page, pageConfig, cfg) {
-  const responses = []
-  const statusCounts = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 }
-  const imagesByUrl = new Map()
-  const net = {
+// Records encoded (on-the-wire) byte counts per URL, one slot per response in the
+// order the responses arrive (the order Playwright emits its 'response' events).
+// A slot is filled when its request completes: redirect hops right away on
+// requestWillBeSent, final responses on loadingFinished (matched by requestId).
+export function createWireSizeTracker(cdp) {
+  const pending = new Map()
+  const byUrl = new Map()
+  const slot = (url) => {
+    if (!byUrl.has(url)) byUrl.set(url, [])
+    const entry = { done: false, encodedDataLength: 0, fromCache: false }
+    byUrl.get(url).push(entry)
+    return entry
+  }
+  const fill = (entry, encodedDataLength, fromCache) => Object.assign(entry, { done: true, encodedDataLength, fromCache })
+
+  cdp.on('Network.requestWillBeSent', e => {
+    if (e.redirectResponse) {
+      fill(slot(e.redirectResponse.url), e.redirectResponse.encodedDataLength || 0, !!e.redirectResponse.fromDiskCache)
+    }
+  })
+  const servedFromCache = new Set()
+  cdp.on('Network.requestServedFromCache', e => servedFromCache.add(e.requestId))
+  cdp.on('Network.responseReceived', e => {
+    if (!e.response?.url) return
+    pending.set(e.requestId, {
+      entry: slot(e.response.url),
+      fromCache: servedFromCache.has(e.requestId) ||
+        !!(e.response.fromDiskCache || e.response.fromPrefetchCache || e.response.fromServiceWorker)
+    })
+  })
+  cdp.on('Network.loadingFinished', e => {
+    const r = pending.get(e.requestId)
+    if (!r) return
+    pending.delete(e.requestId)
+    fill(r.entry, e.encodedDataLength || 0, r.fromCache)
+  })
+  cdp.on('Network.loadingFailed', e => {
+    const r = pending.get(e.requestId)
+    if (!r) return
+    pending.delete(e.requestId)
+    fill(r.entry, 0, r.fromCache)
+  })
+  return { byUrl }
+}
+
+// Matches CDP sizes to response records by URL, in arrival order on both sides
+// (records are pushed as soon as their response arrives). Records whose request
+// is still loading at snapshot time keep their header-based estimate.
+export function joinWireSizes(responses, wire) {
+  const cursor = new Map()
+  for (const r of responses) {
+    const list = wire.byUrl.get(r.url)
+    const i = cursor.get(r.url) || 0
+    if (!list || i >= list.length) continue
+    cursor.set(r.url, i + 1)
+    if (!list[i].done) continue
+    r.transferSize = list[i].encodedDataLength
+    r.fromCache = list[i].fromCache
+    r.transferSource = 'cdp'
+  }
+}
+
+export function createNetStats() {
+  return {
     transferBytes: 0,
     decodedBytes: 0,
     totalReq: 0,
@@ -43,13 +105,28 @@ export async function crawlPage(page, pageConfig, cfg) {
     staticNoCache: 0,
     staticShortCache: 0,
     staticCookieDomains: new Set(),
-    cookieHeaderLens: []
+    cookieHeaderLens: [],
+    cachedResponses: 0
   }
+}
+
+// Starts collecting responses, protocols and console errors on `page`.
+// Call stop() to finalize sizes and get the captured data.
+// opts.clearCache empties the HTTP cache first (cold visit).
+export async function startCapture(page, cfg, opts = {}) {
+  const responses = []
+  const statusCounts = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 }
+  const imagesByUrl = new Map()
+  const net = createNetStats()
 
   // HTTP protocol via CDP
   const context = page.context()
   const cdp = await context.newCDPSession(page)
   await cdp.send('Network.enable')
+  if (opts.clearCache) {
+    await cdp.send('Network.clearBrowserCache')
+    await cdp.send('Network.setCacheDisabled', { cacheDisabled: false })
+  }
   const protoCounts = { 'http/1.1': 0, 'h2': 0, 'h3': 0, 'other': 0 }
   
   cdp.on('Network.responseReceived', e => {
@@ -60,18 +137,27 @@ export async function crawlPage(page, pageConfig, cfg) {
     else protoCounts['other']++
   })
 
+  // On-the-wire sizes via CDP: encodedDataLength includes headers and is ~0 for cache hits
+  const wire = createWireSizeTracker(cdp)
+
+  // Main-thread CPU time, long tasks and JS heap (runtime-probe.js)
+  const probe = await startRuntimeProbe(page, cdp)
+  // Unused JS/CSS per file (coverage-probe.js)
+  const coverageProbe = await startCoverage(page, cfg)
+
   // JavaScript console errors
   const jsErrors = []
-  page.removeAllListeners('console')
-  page.on('console', msg => {
+  const onConsole = msg => {
     if (msg.type() === 'error') jsErrors.push(msg.text())
-  })
+  }
+  page.on('console', onConsole)
 
   const minCacheSeconds = cfg?.cache?.minSeconds ?? 60 * 60 * 24 * 7
 
   // Response handler
-  page.removeAllListeners('response')
-  page.on('response', async(resp) => {
+  let stopped = false
+  const onResponse = async(resp) => {
+    if (stopped) return
     try {
       const req = resp.request()
       const url = req.url()
@@ -91,25 +177,41 @@ export async function crawlPage(page, pageConfig, cfg) {
       const enc = headers['content-encoding']
       const compressed = !!enc && /(gzip|br|deflate)/i.test(enc)
 
-      // transferred vs decoded sizes
-      let transferred = 0
-      let decoded = 0
-      if (headers['content-length']) {
-        transferred = parseInt(headers['content-length'], 10) || 0
-      } else {
-        try {
-          const buf = await resp.body()
-          transferred = buf.length
-        } catch {}
+      // Logged before awaiting the body: records keep the arrival order the CDP
+      // sizes are matched on (joinWireSizes), whatever order the bodies resolve in
+      const headerLength = parseInt(headers['content-length'], 10) || 0
+      const record = {
+        url,
+        status,
+        method: req.method(),
+        resourceType: rType,
+        redirected: !!req.redirectedFrom(),
+        requestHeaders: req.headers(),
+        responseHeaders: headers,
+        contentLength: headerLength,
+        decodedSize: headerLength,
+        transferSize: headerLength,
+        transferSource: 'header',
+        fromCache: false
       }
+      responses.push(record)
+
+      // Decoded size from the body; the header-based transfer size is only a
+      // fallback for requests CDP did not report (see joinWireSizes)
+      let decoded = 0
+      let transferEstimate = headerLength
       try {
         const buf = await resp.body()
         decoded = buf.length
-      } catch {
-        decoded = transferred
-      }
-      net.transferBytes += transferred
+      } catch {}
+      // Stopped while awaiting the body: the capture is returned, leave it as it was
+      if (stopped) return
+      if (!transferEstimate) transferEstimate = decoded
+      if (!decoded) decoded = transferEstimate
       net.decodedBytes += decoded
+      record.contentLength = decoded
+      record.decodedSize = decoded
+      if (record.transferSource === 'header') record.transferSize = transferEstimate
 
       // Compression tracking
       if (isCompressible(ct, url)) {
@@ -167,29 +269,35 @@ export async function crawlPage(page, pageConfig, cfg) {
         else net.imageLegacyCount += 1
         imagesByUrl.set(url.split('#')[0], decoded)
       }
-
-      // Log response
-      responses.push({
-        url,
-        status,
-        method: req.method(),
-        resourceType: rType,
-        redirected: !!req.redirectedFrom(),
-        requestHeaders: req.headers(),
-        responseHeaders: headers,
-        contentLength: decoded
-      })
     } catch {
       // ignore per-response errors
     }
-  })
+  }
+  // Listeners are owned by this capture (removed in stop), so other pages or
+  // contexts crawled in parallel keep their own handlers
+  page.on('response', onResponse)
 
-  // Navigate
-  await page.goto(pageConfig.url, { waitUntil: 'domcontentloaded' })
-  await page.waitForTimeout(cfg.runtime?.settleAfterMs ?? 2500)
+  async function stop() {
+    stopped = true
+    page.off('response', onResponse)
+    page.off('console', onConsole)
+    joinWireSizes(responses, wire)
+    net.transferBytes = responses.reduce((s, r) => s + (r.transferSize || 0), 0)
+    net.cachedResponses = responses.filter(r => r.fromCache).length
+    const runtime = await probe.stop()
+    const coverage = await coverageProbe.stop()
+    try {
+      await cdp.detach()
+    } catch {}
+    return { responses, statusCounts, protoCounts, jsErrors, net, imagesByUrl, runtime, coverage }
+  }
 
-  // DOM + lazy loading checks
-  const domInfo = await page.evaluate(() => {
+  return { stop }
+}
+
+// DOM + lazy loading checks
+export async function collectDomInfo(page) {
+  return page.evaluate(() => {
     const vh = window.innerHeight || 800
     const toImg = Array.from(document.images).map(img => ({
       src: img.currentSrc || img.src,
@@ -200,13 +308,14 @@ export async function crawlPage(page, pageConfig, cfg) {
       loading: img.getAttribute('loading') || '',
       hasSrcset: !!img.getAttribute('srcset'),
       hasSizes: !!img.getAttribute('sizes'),
-      top: img.getBoundingClientRect().top,
+      // document-relative so scenario scrolling does not hide below-the-fold images
+      top: img.getBoundingClientRect().top + window.scrollY,
       display: getComputedStyle(img).display,
       visibility: getComputedStyle(img).visibility
     }))
     const iframes = Array.from(document.querySelectorAll('iframe')).map(f => ({
       loading: f.getAttribute('loading') || '',
-      top: f.getBoundingClientRect().top
+      top: f.getBoundingClientRect().top + window.scrollY
     }))
     const belowFoldNoLazyImages = toImg.filter(i => i.top >= vh && i.loading.toLowerCase() !== 'lazy').length
     const belowFoldNoLazyIframes = iframes.filter(f => f.top >= vh && f.loading.toLowerCase() !== 'lazy').length
@@ -226,14 +335,65 @@ export async function crawlPage(page, pageConfig, cfg) {
       viewportH: vh
     }
   })
+}
+
+export async function crawlPage(page, pageConfig, cfg, opts = {}) {
+  const capture = await startCapture(page, cfg, opts)
+
+  let stepResults = []
+  try {
+    // Navigate
+    await page.goto(pageConfig.url, { waitUntil: 'domcontentloaded' })
+    await page.waitForTimeout(cfg.runtime?.settleAfterMs ?? 2500)
+
+    // Scenario steps (scroll, click, ...) while listeners keep capturing responses
+    if (Array.isArray(pageConfig.steps) && pageConfig.steps.length) {
+      stepResults = await runSteps(page, pageConfig.steps, cfg, `steps:${pageConfig.name || pageConfig.url}`)
+      await page.waitForTimeout(cfg.runtime?.settleAfterMs ?? 2500)
+    }
+  } catch (e) {
+    // Release the capture, but report the navigation error, not a failure to stop
+    try {
+      await capture.stop()
+    } catch (stopError) {
+      console.warn(`[crawl] capture not stopped cleanly: ${stopError?.message || stopError}`)
+    }
+    throw e
+  }
+
+  const captured = await capture.stop()
+  const domInfo = await collectDomInfo(page)
 
   return {
-    responses,
-    statusCounts,
-    protoCounts,
-    jsErrors,
+    ...captured,
     domInfo,
-    net,
-    imagesByUrl
+    stepResults
+  }
+}
+
+// Merges several captures (e.g. journey steps) into one cumulative capture
+export function mergeCaptures(captures) {
+  const out = {
+    responses: [],
+    statusCounts: { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0 },
+    protoCounts: { 'http/1.1': 0, 'h2': 0, 'h3': 0, 'other': 0 },
+    jsErrors: [],
+    net: createNetStats(),
+    imagesByUrl: new Map(),
+    runtime: mergeRuntime(captures.map(c => c.runtime)),
+    coverage: mergeCoverage(captures.map(c => c.coverage))
+  }
+  for (const c of captures) {
+    out.responses.push(...(c.responses || []))
+    out.jsErrors.push(...(c.jsErrors || []))
+    for (const k of Object.keys(out.statusCounts)) out.statusCounts[k] += c.statusCounts?.[k] || 0
+    for (const k of Object.keys(out.protoCounts)) out.protoCounts[k] += c.protoCounts?.[k] || 0
+    for (const [k, v] of Object.entries(c.net || {})) {
+      if (typeof v === 'number') out.net[k] += v
+      else if (v instanceof Set) v.forEach(x => out.net[k].add(x))
+      else if (Array.isArray(v)) out.net[k].push(...v)
+    }
+    for (const [k, v] of (c.imagesByUrl || new Map())) out.imagesByUrl.set(k, v)
   }
+  return out
 }
\ No newline at end of file
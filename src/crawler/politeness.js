@@ -0,0 +1,158 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Crawl politeness: robots.txt (RFC 9309), per-host rate limit and a request budget.
+//
+//   politeness:
+//     robots: discovered     # true: every page, discovered (default): discovery only, false: never
+//                            # (with the default, targets[].pages are never checked)
+//     userAgent: "GreenITCrawler"  # product token matched against robots.txt groups
+//     minDelayMs: 1000       # min. interval between two page loads on the same host
+//     maxRequests: 5000      # HTTP requests budget for the whole run (0 = unlimited)
+
+// Groups naming our product token (case-insensitive equality, RFC 9309 §2.2.1;
+// "GreenITCrawler/1.0" is the token "greenitcrawler"), else the '*' groups.
+// Several groups for the same agent are combined.
+export function parseRobots(text, uaToken = '*') {
+  const token = String(uaToken).trim().split(/[/\s]/)[0].toLowerCase()
+  const groups = []
+  let current = null
+  let lastWasAgent = false
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim()
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/)
+    if (!m) continue
+    const key = m[1].toLowerCase()
+    const value = m[2].trim()
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null }
+        groups.push(current)
+      }
+      current.agents.push(value.toLowerCase())
+      lastWasAgent = true
+      continue
+    }
+    lastWasAgent = false
+    if (!current) continue
+    if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything: no rule needed
+      if (value) current.rules.push({ allow: key === 'allow', path: value })
+    } else if (key === 'crawl-delay') {
+      const n = parseFloat(value)
+      if (Number.isFinite(n)) current.crawlDelay = n
+    }
+  }
+
+  const own = groups.filter(g => token !== '*' && g.agents.includes(token))
+  const chosen = own.length ? own : groups.filter(g => g.agents.includes('*'))
+  return {
+    rules: chosen.flatMap(g => g.rules),
+    crawlDelay: chosen.map(g => g.crawlDelay).find(d => d != null) ?? null
+  }
+}
+
+function ruleRegExp(p) {
+  const anchored = p.endsWith('$')
+  const body = (anchored ? p.slice(0, -1) : p).replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+  return new RegExp('^' + body + (anchored ? '$' : ''))
+}
+
+// Longest matching rule wins; on a tie Allow wins (RFC 9309 §2.2.2)
+export function isAllowed(robots, url) {
+  const u = new URL(url)
+  const target = u.pathname + u.search
+  let verdict = { allow: true, length: -1, rule: null }
+  for (const r of robots?.rules || []) {
+    if (!ruleRegExp(r.path).test(target)) continue
+    const length = r.path.length
+    if (length > verdict.length || (length === verdict.length && r.allow)) verdict = { allow: r.allow, length, rule: r }
+  }
+  return verdict
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+export function createPoliteness(cfg) {
+  const p = cfg?.politeness || {}
+  const robotsMode = p.robots ?? 'discovered'
+  const uaToken = p.userAgent || 'GreenITCrawler'
+  const minDelayMs = p.minDelayMs ?? 0
+  const maxRequests = p.maxRequests ?? 0
+  const robotsCache = new Map()
+  const nextSlot = new Map()
+  let spent = 0
+
+  // Missing robots.txt (4xx) allows everything; unreachable (5xx, network) disallows everything
+  function robotsFor(context, url) {
+    const origin = new URL(url).origin
+    if (!robotsCache.has(origin)) {
+      robotsCache.set(origin, (async () => {
+        try {
+          const resp = await context.request.get(origin + '/robots.txt', { failOnStatusCode: false, timeout: 15000 })
+          if (resp.status() >= 500) return { rules: [{ allow: false, path: '/' }], crawlDelay: null, unreachable: true }
+          if (!resp.ok()) return { rules: [], crawlDelay: null }
+          return parseRobots(await resp.text(), uaToken)
+        } catch (e) {
+          console.warn(`[robots] ${origin}/robots.txt unreachable: ${e?.message || e}`)
+          return { rules: [{ allow: false, path: '/' }], crawlDelay: null, unreachable: true }
+        }
+      })())
+    }
+    return robotsCache.get(origin)
+  }
+
+  const appliesTo = (page) => robotsMode === true || (robotsMode === 'discovered' && !!page?.discovered)
+
+  return {
+    // { allowed, reason, detail } for a page about to be measured (or a link about to be fetched)
+    async check(context, url, page = { discovered: true }) {
+      if (!appliesTo(page)) return { allowed: true }
+      const robots = await robotsFor(context, url)
+      const v = isAllowed(robots, url)
+      if (v.allow) return { allowed: true }
+      return { allowed: false, reason: 'robots', detail: robots.unreachable ? 'robots.txt unreachable' : `Disallow: ${v.rule.path}` }
+    },
+
+    // Waits for the host's next slot: max(minDelayMs, Crawl-delay). Slots are
+    // reserved synchronously so parallel workers queue up instead of bursting.
+    async waitTurn(context, url) {
+      let interval = minDelayMs
+      if (robotsMode !== false) {
+        const robots = await robotsFor(context, url)
+        if (robots.crawlDelay) interval = Math.max(interval, robots.crawlDelay * 1000)
+      }
+      if (!interval) return
+      const host = new URL(url).host
+      const now = Date.now()
+      const slot = Math.max(now, nextSlot.get(host) || 0)
+      nextSlot.set(host, slot + interval)
+      if (slot > now) await sleep(slot - now)
+    },
+
+    spend(n) {
+      spent += n
+    },
+
+    exhausted() {
+      return maxRequests > 0 && spent >= maxRequests
+    },
+
+    get spent() {
+      return spent
+    }
+  }
+}
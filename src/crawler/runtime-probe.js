@@ -0,0 +1,172 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Client-side execution cost of a capture:
+//   - CDP Performance counters (the same TaskDuration/ScriptDuration/LayoutDuration
+//     totals a trace reports, without recording a full trace)
+//   - an in-page PerformanceObserver for long tasks (> 50 ms on the main thread)
+//     and the Core Web Vitals (LCP, CLS, FCP), plus the navigation timing
+// Counters are cumulative, so a capture keeps the difference between start and stop.
+// Vitals belong to a document: they are only reported when the capture loaded it.
+
+// Installed before any script of the document runs (page.addInitScript), in every frame;
+// only the top frame is read
+function observerScript() {
+  if (window.__greenitProbe) return
+  const probe = window.__greenitProbe = { longTasks: 0, longTaskMs: 0, tasks: [], lcp: null, fcp: null, cls: 0 }
+  const observe = (type, onEntry) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({ type, buffered: true })
+    } catch {}
+  }
+  observe('longtask', (e) => {
+    probe.longTasks++
+    probe.longTaskMs += e.duration
+    probe.tasks.push([e.startTime, e.duration])
+  })
+  observe('largest-contentful-paint', (e) => { probe.lcp = e.startTime })
+  observe('paint', (e) => { if (e.name === 'first-contentful-paint') probe.fcp = e.startTime })
+  // CLS: largest session window (shifts less than 1 s apart, 5 s at most), user-triggered shifts excluded
+  let win = 0
+  let winStart = 0
+  let last = 0
+  observe('layout-shift', (e) => {
+    if (e.hadRecentInput) return
+    if (win && e.startTime - last < 1000 && e.startTime - winStart < 5000) win += e.value
+    else {
+      win = e.value
+      winStart = e.startTime
+    }
+    last = e.startTime
+    probe.cls = Math.max(probe.cls, win)
+  })
+}
+
+const installed = new WeakSet()
+
+async function installObserver(page) {
+  if (installed.has(page)) return
+  installed.add(page)
+  await page.addInitScript(observerScript)
+}
+
+async function readObserver(page) {
+  try {
+    return await page.evaluate(() => {
+      const p = window.__greenitProbe
+      const nav = performance.getEntriesByType('navigation')[0]
+      // TBT (INP proxy): blocking part (beyond 50 ms) of the long tasks after FCP
+      const tbt = (p?.tasks || []).filter(([start]) => p.fcp == null || start >= p.fcp).reduce((a, [, d]) => a + Math.max(0, d - 50), 0)
+      return {
+        timeOrigin: performance.timeOrigin,
+        longTasks: p?.longTasks || 0,
+        longTaskMs: p?.longTaskMs || 0,
+        vitals: {
+          lcpMs: p?.lcp,
+          cls: p ? p.cls : null,
+          tbtMs: p ? tbt : null,
+          fcpMs: p?.fcp,
+          ttfbMs: nav?.responseStart || null,
+          domContentLoadedMs: nav?.domContentLoadedEventEnd || null,
+          loadMs: nav?.loadEventEnd || null
+        }
+      }
+    })
+  } catch {
+    return null
+  }
+}
+
+// Metric names a capture can report (stop() below): the counters and long tasks
+// always, the vitals when the capture loaded the document. Also the names config
+// expressions may use (metrics-calculator.js metricNames()).
+const COUNTER_METRICS = ['cpuTimeMs', 'scriptMs', 'layoutMs', 'longTasks', 'longTaskMs', 'jsHeapMB']
+const VITAL_METRICS = ['lcpMs', 'cls', 'tbtMs', 'fcpMs', 'ttfbMs', 'domContentLoadedMs', 'loadMs']
+export const RUNTIME_METRICS = [...COUNTER_METRICS, ...VITAL_METRICS]
+
+// Vitals of the document loaded during the capture; missing ones are left out
+// (no contentful paint, load event not fired yet...)
+function documentVitals(vitals) {
+  const out = {}
+  for (const k of VITAL_METRICS) {
+    const v = vitals?.[k]
+    if (typeof v === 'number' && Number.isFinite(v)) out[k] = k === 'cls' ? Math.round(v * 1000) / 1000 : Math.round(v)
+  }
+  return out
+}
+
+async function readCounters(cdp) {
+  try {
+    const { metrics } = await cdp.send('Performance.getMetrics')
+    return Object.fromEntries(metrics.map(m => [m.name, m.value]))
+  } catch {
+    return null
+  }
+}
+
+// A cross-site navigation can swap the renderer and reset the counters:
+// the stop value alone is then the cost since the swap
+const since = (start, stop, key) => {
+  const a = start?.[key] || 0
+  const b = stop?.[key] || 0
+  return b >= a ? b - a : b
+}
+
+// cdp: the capture's session (must still be attached when stop() is called)
+export async function startRuntimeProbe(page, cdp) {
+  await installObserver(page)
+  try {
+    await cdp.send('Performance.enable')
+  } catch {}
+  const startCounters = await readCounters(cdp)
+  const startObserver = await readObserver(page)
+
+  async function stop() {
+    const counters = await readCounters(cdp)
+    const observer = await readObserver(page)
+    if (!counters && !observer) return null
+    // Long tasks of a document the capture navigated away from are lost
+    const sameDocument = startObserver && observer && startObserver.timeOrigin === observer.timeOrigin
+    const navigated = observer && !sameDocument
+    const s = (sec) => Math.round(sec * 1000)
+    return {
+      cpuTimeMs: s(since(startCounters, counters, 'TaskDuration')),
+      scriptMs: s(since(startCounters, counters, 'ScriptDuration')),
+      layoutMs: s(since(startCounters, counters, 'LayoutDuration') + since(startCounters, counters, 'RecalcStyleDuration')),
+      longTasks: (observer?.longTasks || 0) - (sameDocument ? startObserver.longTasks : 0),
+      longTaskMs: Math.round((observer?.longTaskMs || 0) - (sameDocument ? startObserver.longTaskMs : 0)),
+      jsHeapMB: Math.round((counters?.JSHeapUsedSize || 0) / (1024 * 1024) * 10) / 10,
+      ...(navigated ? documentVitals(observer.vitals) : {})
+    }
+  }
+
+  return { stop }
+}
+
+// Per-document values: a journey keeps its worst page
+const PEAK_KEYS = ['jsHeapMB', 'lcpMs', 'cls', 'fcpMs', 'ttfbMs', 'domContentLoadedMs', 'loadMs']
+
+// Cumulative runtime of several captures (journey steps): times and TBT add up,
+// the heap and the per-document vitals keep their peak
+export function mergeRuntime(list) {
+  const runs = list.filter(Boolean)
+  if (!runs.length) return null
+  const out = {}
+  for (const r of runs) {
+    for (const [k, v] of Object.entries(r)) out[k] = PEAK_KEYS.includes(k) ? Math.max(out[k] ?? v, v) : (out[k] || 0) + v
+  }
+  return out
+}
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Scenario steps run after navigation so lazy content is loaded before measurement.
+// Each step is an object with an `action` key, e.g.:
+//   - action: scrollToBottom
+//   - action: click
+//     selector: "#load-more"
+//   - action: type
+//     selector: "#search"
+//     text: "lunettes"
+//   - action: waitForSelector
+//     selector: ".results"
+//   - action: waitForNetworkIdle
+//   - action: hover
+//     selector: "nav .menu"
+//   - action: wait
+//     ms: 1000
+
+export const STEP_ACTIONS = ['scrollToBottom', 'click', 'type', 'waitForSelector', 'waitForNetworkIdle', 'hover', 'wait']
+
+async function scrollToBottom(page, step) {
+  const stepPx = step.stepPx ?? 600
+  const delayMs = step.delayMs ?? 150
+  const maxScrolls = step.maxScrolls ?? 50
+  for (let i = 0; i < maxScrolls; i++) {
+    const atBottom = await page.evaluate((dy) => {
+      window.scrollBy(0, dy)
+      const el = document.scrollingElement || document.documentElement
+      return Math.ceil(window.scrollY + window.innerHeight) >= el.scrollHeight
+    }, stepPx)
+    await page.waitForTimeout(delayMs)
+    if (atBottom) break
+  }
+}
+
+const handlers = {
+  scrollToBottom,
+  click: (page, step, timeout) => page.locator(step.selector).first().click({ timeout }),
+  type: (page, step, timeout) => page.locator(step.selector).first().fill(String(step.text ?? ''), { timeout }),
+  waitForSelector: (page, step, timeout) => page.locator(step.selector).first().waitFor({ state: step.state || 'visible', timeout }),
+  waitForNetworkIdle: (page, step, timeout) => page.waitForLoadState('networkidle', { timeout }),
+  hover: (page, step, timeout) => page.locator(step.selector).first().hover({ timeout }),
+  wait: (page, step) => page.waitForTimeout(step.ms ?? 1000)
+}
+
+export async function runSteps(page, steps, cfg, label = 'steps') {
+  const list = Array.isArray(steps) ? steps : []
+  const defaultTimeout = cfg?.runtime?.stepTimeoutMs ?? 15000
+  const results = []
+  for (const [i, step] of list.entries()) {
+    const action = step?.action
+    const handler = handlers[action]
+    if (!handler) {
+      console.warn(`[${label}] #${i + 1}: unknown action "${action}" (expected one of ${STEP_ACTIONS.join(', ')})`)
+      results.push({ action, ok: false, error: 'unknown action' })
+      continue
+    }
+    try {
+      await handler(page, step, step.timeoutMs ?? defaultTimeout)
+      if (step.afterMs) await page.waitForTimeout(step.afterMs)
+      results.push({ action, ok: true })
+    } catch (e) {
+      console.warn(`[${label}] #${i + 1} ${action}${step.selector ? ` (${step.selector})` : ''} failed: ${e?.message || e}`)
+      results.push({ action, ok: false, error: e?.message || String(e) })
+      if (step.required) throw e
+    }
+  }
+  return results
+}
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import { hostname, pct } from '../utils/network-helpers.js'
+import { round4 } from '../utils/file-helpers.js'
+
+// First-party / third-party split of a page's bytes and impacts, per host and
+// per category. Categories come from domain-categories.json (offline, suffix
+// match on the hostname), extended or overridden by impact.domainCategories:
+//   impact:
+//     firstPartyDomains: [monsiteweb-cdn.net]
+//     domainCategories:
+//       analytics: [stats.monsiteweb.fr]
+
+const BUNDLED_CATEGORIES = JSON.parse(fs.readFileSync(new URL('./domain-categories.json', import.meta.url), 'utf8'))
+
+// Config entries come first so they win over the bundled list
+export function domainCategories(impactCfg) {
+  const out = []
+  for (const [category, domains] of Object.entries(impactCfg?.domainCategories || {})) {
+    for (const d of domains || []) out.push([String(d).toLowerCase(), category])
+  }
+  for (const [category, domains] of Object.entries(BUNDLED_CATEGORIES)) {
+    for (const d of domains) out.push([d, category])
+  }
+  return out
+}
+
+const matches = (host, domain) => host === domain || host.endsWith('.' + domain)
+
+// Most specific (longest) matching domain wins: fonts.googleapis.com over googleapis.com
+export function categoryOf(host, categories) {
+  let best = null
+  for (const [domain, category] of categories) {
+    if (matches(host, domain) && (!best || domain.length > best[0].length)) best = [domain, category]
+  }
+  return best ? best[1] : null
+}
+
+// Registrable domain, approximated: last two labels, three for "co.uk"-like suffixes
+export function siteOf(host) {
+  const labels = String(host || '').split('.')
+  if (labels.length <= 2) return host
+  const sld = labels[labels.length - 2]
+  const keep = (labels[labels.length - 1].length === 2 && ['co', 'com', 'org', 'net', 'gov', 'ac', 'gouv'].includes(sld)) ? 3 : 2
+  return labels.slice(-keep).join('.')
+}
+
+// Host of the page's main document (first document response)
+export function pageHost(responses) {
+  const doc = (responses || []).find(r => r.resourceType === 'document')
+  return doc ? hostname(doc.url) : ''
+}
+
+export function isFirstParty(host, baseHost, firstPartyDomains = []) {
+  if (!baseHost) return true
+  const site = siteOf(baseHost)
+  return matches(host, site) || firstPartyDomains.some(d => matches(host, String(d).toLowerCase()))
+}
+
+export function thirdPartyBytesPct(responses, impactCfg) {
+  const base = pageHost(responses)
+  let total = 0
+  let third = 0
+  for (const r of responses || []) {
+    const size = r.transferSize || 0
+    total += size
+    if (!isFirstParty(hostname(r.url), base, impactCfg?.firstPartyDomains)) third += size
+  }
+  return pct(third, total || 1)
+}
+
+// Splits `impacts` (totals of the page) across hosts. `perHost(bytes, host)`
+// returns the model's raw impacts for those bytes alone; the shares are then
+// scaled so that hosts add up exactly to the page totals.
+export function attributeImpacts(responses, impacts, impactCfg, perHost) {
+  const base = pageHost(responses)
+  const categories = domainCategories(impactCfg)
+  const hosts = new Map()
+  for (const r of responses || []) {
+    const host = hostname(r.url)
+    if (!hosts.has(host)) hosts.set(host, { host, bytes: 0, requests: 0 })
+    const h = hosts.get(host)
+    h.bytes += r.transferSize || 0
+    h.requests++
+  }
+
+  const list = [...hosts.values()].map(h => {
+    const raw = h.bytes ? perHost(h.bytes, h.host) : { co2_g: 0, energy_kWh: 0 }
+    return {
+      ...h,
+      party: isFirstParty(h.host, base, impactCfg?.firstPartyDomains) ? 'first' : 'third',
+      category: categoryOf(h.host, categories) || (isFirstParty(h.host, base, impactCfg?.firstPartyDomains) ? 'first-party' : 'other'),
+      rawCo2: raw.co2_g,
+      rawEnergy: raw.energy_kWh
+    }
+  })
+  const rawCo2 = list.reduce((a, h) => a + h.rawCo2, 0)
+  const rawEnergy = list.reduce((a, h) => a + h.rawEnergy, 0)
+  const totalBytes = list.reduce((a, h) => a + h.bytes, 0)
+  for (const h of list) {
+    h.co2_g = rawCo2 ? impacts.co2_g * h.rawCo2 / rawCo2 : 0
+    h.energy_kWh = rawEnergy ? impacts.energy_kWh * h.rawEnergy / rawEnergy : 0
+  }
+
+  const group = (key) => {
+    const out = {}
+    for (const h of list) {
+      const g = out[h[key]] ||= { bytes: 0, requests: 0, co2_g: 0, energy_kWh: 0 }
+      g.bytes += h.bytes
+      g.requests += h.requests
+      g.co2_g += h.co2_g
+      g.energy_kWh += h.energy_kWh
+    }
+    for (const g of Object.values(out)) {
+      g.bytesPct = pct(g.bytes, totalBytes || 1)
+      g.co2Pct = pct(g.co2_g, impacts.co2_g || 1)
+      g.co2_g = round4(g.co2_g)
+      g.energy_kWh = round4(g.energy_kWh)
+    }
+    return out
+  }
+
+  const byParty = group('party')
+  return {
+    thirdPartyCo2Pct: byParty.third?.co2Pct || 0,
+    thirdPartyBytesPct: byParty.third?.bytesPct || 0,
+    byParty,
+    byCategory: group('category'),
+    byHost: list
+      .sort((a, b) => b.co2_g - a.co2_g)
+      .map(({ host, party, category, bytes, requests, co2_g }) => ({ host, party, category, bytes, requests, co2_g: round4(co2_g), co2Pct: pct(co2_g, impacts.co2_g || 1) }))
+  }
+}
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { round2 } from '../utils/file-helpers.js'
+
+// EcoIndex (GreenIT / cnumr reference implementation): DOM elements, requests and
+// transferred size are placed on quantile tables built from the HTTP Archive, then
+// combined as 100 - 5 × (3·q_dom + 2·q_req + q_size) / 6. Independent from the
+// composite KPI: its inputs and weights are fixed so scores stay comparable.
+export const QUANTILES = {
+  dom: [0, 47, 75, 159, 233, 298, 358, 417, 476, 537, 603, 674, 753, 843, 949, 1076, 1237, 1459, 1801, 2479, 594601],
+  req: [0, 2, 15, 25, 34, 42, 49, 56, 63, 70, 78, 86, 95, 105, 117, 130, 147, 170, 205, 281, 3920],
+  size: [0, 1.37, 144.7, 319.53, 479.46, 631.97, 783.38, 937.91, 1098.62, 1265.47, 1448.32, 1648.27, 1876.08, 2142.06, 2465.37, 2866.31, 3401.59, 4155.73, 5400.08, 8037.54, 223212.26]
+}
+
+// Position of `value` on the table, linear inside a quantile: 0..20
+export function quantile(table, value) {
+  const v = Math.max(0, value || 0)
+  for (let i = 1; i < table.length; i++) {
+    if (v < table[i]) return i - 1 + (v - table[i - 1]) / (table[i] - table[i - 1])
+  }
+  return table.length - 1
+}
+
+export function ecoIndexGrade(score) {
+  if (score > 80) return 'A'
+  if (score > 70) return 'B'
+  if (score > 55) return 'C'
+  if (score > 40) return 'D'
+  if (score > 25) return 'E'
+  if (score > 10) return 'F'
+  return 'G'
+}
+
+// dom = number of elements, requests = HTTP requests, sizeKB = transferred KB.
+// ges in gCO2e and water in cL per page view (reference formulas).
+export function computeEcoIndex({ dom, requests, sizeKB }) {
+  const q = 3 * quantile(QUANTILES.dom, dom) + 2 * quantile(QUANTILES.req, requests) + quantile(QUANTILES.size, sizeKB)
+  const score = Math.max(0, 100 - (5 * q) / 6)
+  return {
+    score: round2(score),
+    grade: ecoIndexGrade(score),
+    ges_g: round2(2 + (2 * (50 - score)) / 100),
+    water_cl: round2(3 + (3 * (50 - score)) / 100)
+  }
+}
+
+export function ecoIndexFromMetrics(metrics) {
+  return computeEcoIndex({ dom: metrics.domSize, requests: metrics.requests, sizeKB: metrics.transferKB })
+}
@@ -0,0 +1,244 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Small sandboxed expression language for kpi.score_ceilings[].if (and other
+// config conditions). Nothing is evaluated as JavaScript.
+//
+//   literals     12  0.5  "text"  'text'  true  false  null  [1, 2, 3]
+//   identifiers  metric names: requests, transferKB, hstsMissing, co2_g...
+//   arithmetic   + - * / %   (unary -)
+//   comparison   < <= > >= == != (=== and !== accepted as aliases)
+//   boolean      && || !   (or: and, or, not)
+//   membership   x in [a, b]   "sub" in text
+//   functions    pct(a, b)  min(...)  max(...)  abs(x)  round(x, digits)  floor(x)  ceil(x)
+//
+// A metric set to null in the scope is known but was not measured on this page:
+// arithmetic and functions over it give null, and < <= > >= with null are false,
+// so a rule on it simply does not fire. "x == null" tests for it.
+
+export class ExpressionError extends Error {
+  constructor(message, expr, pos) {
+    super(pos != null ? `${message} at position ${pos + 1} in "${expr}"` : `${message} in "${expr}"`)
+    this.name = 'ExpressionError'
+    this.expr = expr
+    this.pos = pos
+  }
+}
+
+export const FUNCTIONS = {
+  pct: (a, b) => (b ? (a / b) * 100 : 0),
+  min: (...xs) => Math.min(...xs),
+  max: (...xs) => Math.max(...xs),
+  abs: (x) => Math.abs(x),
+  round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+  floor: (x) => Math.floor(x),
+  ceil: (x) => Math.ceil(x)
+}
+
+const WORD_OPS = { and: '&&', or: '||', not: '!', in: 'in' }
+
+function tokenize(expr) {
+  const tokens = []
+  let i = 0
+  while (i < expr.length) {
+    const c = expr[i]
+    if (/\s/.test(c)) { i++; continue }
+    const start = i
+    if (/[0-9.]/.test(c)) {
+      const m = expr.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/)
+      if (!m) throw new ExpressionError('invalid number', expr, i)
+      tokens.push({ type: 'num', value: parseFloat(m[0]), pos: start })
+      i += m[0].length
+    } else if (c === '"' || c === "'") {
+      let j = i + 1
+      let value = ''
+      while (j < expr.length && expr[j] !== c) {
+        if (expr[j] === '\\' && j + 1 < expr.length) j++
+        value += expr[j++]
+      }
+      if (j >= expr.length) throw new ExpressionError('unterminated string', expr, i)
+      tokens.push({ type: 'str', value, pos: start })
+      i = j + 1
+    } else if (/[A-Za-z_]/.test(c)) {
+      const m = expr.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0]
+      if (Object.hasOwn(WORD_OPS, m)) tokens.push({ type: 'op', value: WORD_OPS[m], pos: start })
+      else if (m === 'true' || m === 'false') tokens.push({ type: 'lit', value: m === 'true', pos: start })
+      else if (m === 'null') tokens.push({ type: 'lit', value: null, pos: start })
+      else tokens.push({ type: 'id', value: m, pos: start })
+      i += m.length
+    } else {
+      const op = ['===', '!==', '<=', '>=', '==', '!=', '&&', '||'].find(o => expr.startsWith(o, i)) || ('+-*/%<>!()[],'.includes(c) ? c : null)
+      if (!op) throw new ExpressionError(`unexpected character "${c}"`, expr, i)
+      tokens.push({ type: 'op', value: op === '===' ? '==' : op === '!==' ? '!=' : op, pos: start })
+      i += op.length
+    }
+  }
+  tokens.push({ type: 'end', pos: expr.length })
+  return tokens
+}
+
+// Recursive descent, lowest precedence first: || && ! comparison/in + - * / % unary
+export function parseExpression(expr) {
+  if (typeof expr !== 'string' || !expr.trim()) throw new ExpressionError('empty expression', String(expr ?? ''))
+  const tokens = tokenize(expr)
+  let k = 0
+  const peek = () => tokens[k]
+  const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value)
+  const expect = (op) => {
+    if (!isOp(op)) throw new ExpressionError(`expected "${op}"`, expr, peek().pos)
+    return tokens[k++]
+  }
+
+  function binary(next, ops) {
+    return () => {
+      let left = next()
+      while (isOp(...ops)) {
+        const { value: op, pos } = tokens[k++]
+        left = { type: 'binary', op, left, right: next(), pos }
+      }
+      return left
+    }
+  }
+
+  const primary = () => {
+    const t = tokens[k]
+    if (t.type === 'num' || t.type === 'str' || t.type === 'lit') { k++; return { type: 'lit', value: t.value } }
+    if (t.type === 'id') {
+      k++
+      if (isOp('(')) {
+        if (!Object.hasOwn(FUNCTIONS, t.value)) throw new ExpressionError(`unknown function "${t.value}" (available: ${Object.keys(FUNCTIONS).join(', ')})`, expr, t.pos)
+        k++
+        const args = []
+        if (!isOp(')')) {
+          do { args.push(or()) } while (isOp(',') && ++k)
+        }
+        expect(')')
+        return { type: 'call', name: t.value, args }
+      }
+      return { type: 'id', name: t.value, pos: t.pos }
+    }
+    if (isOp('(')) {
+      k++
+      const inner = or()
+      expect(')')
+      return inner
+    }
+    if (isOp('[')) {
+      k++
+      const items = []
+      if (!isOp(']')) {
+        do { items.push(or()) } while (isOp(',') && ++k)
+      }
+      expect(']')
+      return { type: 'list', items }
+    }
+    throw new ExpressionError(t.type === 'end' ? 'unexpected end of expression' : `unexpected "${t.value}"`, expr, t.pos)
+  }
+  const unary = () => {
+    if (isOp('-')) { k++; return { type: 'neg', arg: unary() } }
+    return primary()
+  }
+  const mul = binary(unary, ['*', '/', '%'])
+  const add = binary(mul, ['+', '-'])
+  const cmp = () => {
+    const left = add()
+    if (isOp('<', '<=', '>', '>=', '==', '!=', 'in')) {
+      const { value: op, pos } = tokens[k++]
+      return { type: 'binary', op, left, right: add(), pos }
+    }
+    return left
+  }
+  const not = () => {
+    if (isOp('!')) { k++; return { type: 'not', arg: not() } }
+    return cmp()
+  }
+  const and = binary(not, ['&&'])
+  const or = binary(and, ['||'])
+
+  const ast = or()
+  if (peek().type !== 'end') throw new ExpressionError(`unexpected "${peek().value}"`, expr, peek().pos)
+  return ast
+}
+
+// Identifiers referenced by an expression (for config validation)
+export function identifiers(ast, out = new Set()) {
+  if (ast.type === 'id') out.add(ast.name)
+  for (const child of [ast.left, ast.right, ast.arg, ...(ast.args || []), ...(ast.items || [])]) {
+    if (child) identifiers(child, out)
+  }
+  return out
+}
+
+function evaluate(ast, scope, expr) {
+  switch (ast.type) {
+    case 'lit': return ast.value
+    case 'id':
+      if (!Object.hasOwn(scope, ast.name) || scope[ast.name] === undefined) {
+        throw new ExpressionError(`unknown metric "${ast.name}"`, expr, ast.pos)
+      }
+      return scope[ast.name]
+    case 'list': return ast.items.map(i => evaluate(i, scope, expr))
+    case 'call': {
+      const args = ast.args.map(a => evaluate(a, scope, expr))
+      return args.includes(null) ? null : FUNCTIONS[ast.name](...args)
+    }
+    case 'neg': {
+      const v = evaluate(ast.arg, scope, expr)
+      return v === null ? null : -v
+    }
+    case 'not': return !evaluate(ast.arg, scope, expr)
+    case 'binary': {
+      // Short-circuit like JavaScript
+      if (ast.op === '&&') return evaluate(ast.left, scope, expr) && evaluate(ast.right, scope, expr)
+      if (ast.op === '||') return evaluate(ast.left, scope, expr) || evaluate(ast.right, scope, expr)
+      const a = evaluate(ast.left, scope, expr)
+      const b = evaluate(ast.right, scope, expr)
+      if ((a === null || b === null) && '+-*/%'.includes(ast.op)) return null
+      if ((a === null || b === null) && ['<', '<=', '>', '>='].includes(ast.op)) return false
+      switch (ast.op) {
+        case '+': return a + b
+        case '-': return a - b
+        case '*': return a * b
+        case '/': return a / b
+        case '%': return a % b
+        case '<': return a < b
+        case '<=': return a <= b
+        case '>': return a > b
+        case '>=': return a >= b
+        case '==': return a === b
+        case '!=': return a !== b
+        case 'in':
+          if (Array.isArray(b)) return b.includes(a)
+          if (typeof b === 'string') return b.includes(String(a))
+          throw new ExpressionError('"in" expects a list or a string on its right', expr, ast.pos)
+      }
+    }
+  }
+  throw new ExpressionError(`cannot evaluate node ${ast.type}`, expr)
+}
+
+const cache = new Map()
+
+export function compileExpression(expr) {
+  if (!cache.has(expr)) cache.set(expr, parseExpression(expr))
+  return cache.get(expr)
+}
+
+// Throws ExpressionError on syntax errors and on names missing from `scope`
+// (give known but unmeasured metrics a null value instead)
+export function evaluateExpression(expr, scope) {
+  return evaluate(compileExpression(expr), scope, expr)
+}
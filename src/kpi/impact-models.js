@@ -0,0 +1,226 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { round2, round4, round6 } from '../utils/file-helpers.js'
+import { hostname } from '../utils/network-helpers.js'
+import { evaluateExpression } from './expression.js'
+
+// Impact models (impact.model). Each one turns the bytes of a page view into
+// energy (kWh) and CO2 (g); water is always energy × water intensity.
+//   flat      bytes × kWhPerGB × grid intensity (historical model, the default)
+//   swdm-v4   Sustainable Web Design Model v4: data centre / network / device
+//             segments, operational + embodied, first/return visit split
+//   onebyte   The Shift Project "1byte": data centre + network, no device
+//   custom    expressions over the page metrics (see expression.js)
+
+// Average grid carbon intensity (gCO2e/kWh), annual means rounded from Ember data.
+// Used with impact.grid: { country, year }; gridIntensity_g_per_kWh overrides it.
+export const GRID_INTENSITIES = {
+  WORLD: { 2022: 436, 2023: 480 },
+  FR: { 2022: 85, 2023: 55 },
+  DE: { 2022: 433, 2023: 381 },
+  GB: { 2022: 257, 2023: 238 },
+  ES: { 2022: 187, 2023: 156 },
+  IT: { 2022: 372, 2023: 315 },
+  BE: { 2022: 156, 2023: 134 },
+  NL: { 2022: 386, 2023: 315 },
+  US: { 2022: 375, 2023: 369 }
+}
+
+const DEFAULT_GRID = { country: 'FR', year: 2023 }
+// Historical defaults of the flat model
+const DEFAULT_KWH_PER_GB = 0.81
+const DEFAULT_WATER_L_PER_KWH = 1.8
+// impact.device: power drawn by the client CPU while the main thread is busy (laptop order of magnitude)
+const DEFAULT_CPU_WATTS = 15
+
+// SWDM v4 intensities, kWh per GB transferred
+const SWDM_V4 = {
+  operational: { dataCenter: 0.055, network: 0.059, device: 0.080 },
+  embodied: { dataCenter: 0.012, network: 0.013, device: 0.081 }
+}
+
+// 1byte model, kWh per byte; the network figure depends on the access type
+const ONEBYTE = {
+  dataCenter: 7.2e-11,
+  network: { wired: 4.29e-10, wifi: 1.52e-10, mobile: 8.84e-10 }
+}
+
+// Grid intensity and where it comes from (recorded with the results)
+export function resolveGrid(impactCfg = {}) {
+  if (typeof impactCfg.gridIntensity_g_per_kWh === 'number') {
+    return { g_per_kWh: impactCfg.gridIntensity_g_per_kWh, source: 'config' }
+  }
+  const country = String(impactCfg.grid?.country || DEFAULT_GRID.country).toUpperCase()
+  const years = GRID_INTENSITIES[country]
+  if (!years) throw new Error(`Unknown grid country "${country}" (known: ${Object.keys(GRID_INTENSITIES).join(', ')})`)
+  const year = impactCfg.grid?.year ?? Math.max(...Object.keys(years).map(Number))
+  if (years[year] == null) throw new Error(`No grid intensity for ${country} ${year} (known years: ${Object.keys(years).join(', ')})`)
+  return { g_per_kWh: years[year], source: `${country}-${year}` }
+}
+
+const DEFAULT_RENEWABLE_G_PER_KWH = 50
+
+// impact.greenHosting: domains served from renewable energy (suffix match), either
+// "example.org" (counted at impact.renewableIntensity_g_per_kWh) or
+// { domain: "example.org", grid_g_per_kWh: 20 } with the host's own intensity
+export function greenHostIntensity(host, impactCfg = {}) {
+  for (const entry of impactCfg.greenHosting || []) {
+    const domain = String(typeof entry === 'string' ? entry : entry.domain).toLowerCase()
+    if (host === domain || host.endsWith('.' + domain)) {
+      return entry.grid_g_per_kWh ?? impactCfg.renewableIntensity_g_per_kWh ?? DEFAULT_RENEWABLE_G_PER_KWH
+    }
+  }
+  return null
+}
+
+// Share of the bytes served by green hosts, and their byte-weighted intensity
+export function greenShare(responses, impactCfg = {}) {
+  if (!impactCfg.greenHosting?.length || !responses?.length) return { ratio: 0, g_per_kWh: 0 }
+  let total = 0
+  let green = 0
+  let weighted = 0
+  for (const r of responses) {
+    const size = r.transferSize || 0
+    total += size
+    const intensity = greenHostIntensity(hostname(r.url), impactCfg)
+    if (intensity != null) {
+      green += size
+      weighted += size * intensity
+    }
+  }
+  return { ratio: total ? green / total : 0, g_per_kWh: green ? weighted / green : 0 }
+}
+
+// Data centre operational intensity: green share at its own intensity, the rest on the grid
+const dataCenterIntensity = (green, grid) => green.ratio * green.g_per_kWh + (1 - green.ratio) * grid.g_per_kWh
+
+function flat({ bytes }, cfg, grid) {
+  const kWhPerGB = cfg.kWhPerGB ?? DEFAULT_KWH_PER_GB
+  const energy_kWh = (bytes / (1024 ** 3)) * kWhPerGB
+  return { energy_kWh, co2_g: energy_kWh * grid.g_per_kWh, params: { kWhPerGB } }
+}
+
+// Per view: first visits transfer every byte, return visits only the reloaded
+// share (measured by runtime.repeatVisit when available, else dataReloadRatio)
+function swdmV4({ bytes, warmBytes, green }, cfg, grid) {
+  const o = cfg.swdm || {}
+  const returnVisitorRatio = o.returnVisitorRatio ?? 0.25
+  const dataReloadRatio = o.dataReloadRatio ?? 0.02
+  const reloadBytes = typeof warmBytes === 'number' ? warmBytes : bytes * dataReloadRatio
+  const GB = ((1 - returnVisitorRatio) * bytes + returnVisitorRatio * reloadBytes) / (1024 ** 3)
+
+  const segments = {}
+  let energy_kWh = 0
+  let co2_g = 0
+  for (const seg of ['dataCenter', 'network', 'device']) {
+    const op = GB * SWDM_V4.operational[seg]
+    const emb = GB * SWDM_V4.embodied[seg]
+    // Green hosting only changes the data centre operational energy
+    const opIntensity = seg === 'dataCenter' ? dataCenterIntensity(green, grid) : grid.g_per_kWh
+    const segCo2 = op * opIntensity + emb * grid.g_per_kWh
+    segments[seg] = { energy_kWh: round4(op + emb), co2_g: round4(segCo2) }
+    energy_kWh += op + emb
+    co2_g += segCo2
+  }
+  return {
+    energy_kWh,
+    co2_g,
+    segments,
+    params: { returnVisitorRatio, dataReloadRatio, returnVisitBytes: typeof warmBytes === 'number' ? 'measured' : 'ratio', greenRatio: round2(green.ratio) }
+  }
+}
+
+function onebyte({ bytes, green }, cfg, grid) {
+  const access = cfg.onebyte?.network || 'average'
+  const net = ONEBYTE.network
+  const perByte = access === 'average' ? (net.wired + net.wifi + net.mobile) / 3 : net[access]
+  if (perByte == null) throw new Error(`impact.onebyte.network must be wired, wifi, mobile or average, got "${access}"`)
+  const dc = bytes * ONEBYTE.dataCenter
+  const network = bytes * perByte
+  const dcCo2 = dc * dataCenterIntensity(green, grid)
+  return {
+    energy_kWh: dc + network,
+    co2_g: dcCo2 + network * grid.g_per_kWh,
+    segments: {
+      dataCenter: { energy_kWh: round4(dc), co2_g: round4(dcCo2) },
+      network: { energy_kWh: round4(network), co2_g: round4(network * grid.g_per_kWh) }
+    },
+    params: { network: access, greenRatio: round2(green.ratio) }
+  }
+}
+
+// impact.custom: { energy_kWh: "<expr>", co2_g: "<expr>" (optional) }. The scope
+// holds the page metrics plus bytes, dataGB, grid_g_per_kWh and greenRatio.
+function custom({ bytes, green, metrics }, cfg, grid) {
+  const c = cfg.custom || {}
+  if (!c.energy_kWh) throw new Error('impact.custom.energy_kWh is required with impact.model: custom')
+  const scope = { ...metrics, bytes, dataGB: bytes / (1024 ** 3), grid_g_per_kWh: grid.g_per_kWh, greenRatio: green.ratio }
+  const energy_kWh = Number(evaluateExpression(String(c.energy_kWh), scope))
+  const co2_g = c.co2_g ? Number(evaluateExpression(String(c.co2_g), { ...scope, energy_kWh })) : energy_kWh * grid.g_per_kWh
+  return { energy_kWh, co2_g, params: { energy_kWh: c.energy_kWh, co2_g: c.co2_g || 'energy_kWh * grid_g_per_kWh' } }
+}
+
+export const IMPACT_MODELS = { flat, 'swdm-v4': swdmV4, onebyte, custom }
+
+function runModel(input, impactCfg) {
+  const name = impactCfg.model || 'flat'
+  const model = IMPACT_MODELS[name]
+  if (!model) throw new Error(`Unknown impact model "${name}" (available: ${Object.keys(IMPACT_MODELS).join(', ')})`)
+  const grid = resolveGrid(impactCfg)
+  const bytes = input.bytes || 0
+  return { name, grid, bytes, out: model({ ...input, bytes, green: input.green || { ratio: 0, g_per_kWh: 0 } }, impactCfg, grid) }
+}
+
+// Unrounded energy/CO2 only (used to apportion a page's impacts between hosts)
+export function modelImpacts(input, impactCfg = {}) {
+  const { out } = runModel(input, impactCfg)
+  return { energy_kWh: out.energy_kWh, co2_g: out.co2_g }
+}
+
+// Optional client-side component (impact.device): measured main-thread time × CPU
+// power, on the grid. Added on top of the model, whatever it is; null when disabled
+// or when the capture has no runtime metrics.
+function deviceImpacts(metrics, impactCfg, grid) {
+  if (!impactCfg.device || typeof metrics?.cpuTimeMs !== 'number') return null
+  const cpuWatts = impactCfg.device.cpuWatts ?? DEFAULT_CPU_WATTS
+  const energy_kWh = metrics.cpuTimeMs / 3.6e6 * cpuWatts / 1000
+  return { energy_kWh, co2_g: energy_kWh * grid.g_per_kWh, cpuWatts }
+}
+
+// input: { bytes, warmBytes?, green? (greenShare), metrics? }; impactCfg is config.impact.
+// Returns the impacts plus `model` and `params` (recorded in the history).
+// `transfer` keeps the share due to transferred bytes (what attribution splits by host).
+export function estimateImpacts(input, impactCfg = {}) {
+  const { name, grid, bytes, out } = runModel(input, impactCfg)
+  const water_L_per_kWh = impactCfg.waterIntensity_L_per_kWh ?? DEFAULT_WATER_L_PER_KWH
+  const device = deviceImpacts(input.metrics, impactCfg, grid)
+  const energy_kWh = out.energy_kWh + (device?.energy_kWh || 0)
+  const co2_g = out.co2_g + (device?.co2_g || 0)
+  const segments = device
+    ? { ...(out.segments || { transfer: { energy_kWh: round4(out.energy_kWh), co2_g: round4(out.co2_g) } }), deviceCpu: { energy_kWh: round6(device.energy_kWh), co2_g: round4(device.co2_g) } }
+    : out.segments
+  return {
+    dataGB: round4(bytes / (1024 ** 3)),
+    energy_kWh: round4(energy_kWh),
+    co2_g: round2(co2_g),
+    water_cl: round2(energy_kWh * water_L_per_kWh * 100),
+    model: name,
+    params: { grid: grid.source, grid_g_per_kWh: grid.g_per_kWh, water_L_per_kWh, ...out.params, ...(device ? { cpuWatts: device.cpuWatts } : {}) },
+    transfer: { energy_kWh: out.energy_kWh, co2_g: out.co2_g },
+    ...(segments ? { segments } : {})
+  }
+}
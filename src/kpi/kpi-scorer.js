@@ -15,21 +15,97 @@
  */
 
 import { scoreEnvironmentalImpact } from './impact-estimator.js'
+import { metricNames } from './metrics-calculator.js'
+import { evaluateExpression } from './expression.js'
+import { normalizeLowerBetter, normalizeHigherBetter, normalizationMode } from './normalization.js'
 
-function normalizeLowerBetter(value, thresholds) {
-  if (value <= thresholds[0]) return 100
-  if (value <= thresholds[1]) return 75
-  if (value <= thresholds[2]) return 50
-  if (value <= thresholds[3]) return 25
-  return 0
+// Defaults for kpi.weights / kpi.thresholds (also the metric names accepted in the config)
+export const DEFAULT_WEIGHTS = {
+  requests: 0.35,
+  transferKB: 0.20,
+  domSize: 0.15,
+  uniqueDomains: 0.08,
+  compressedPct: 0.04,
+  minifiedPct: 0.04,
+  inlineStyles: 0.02,
+  inlineScripts: 0.02,
+  cssFiles: 0.015,
+  jsFiles: 0.015,
+  resizedImages: 0.01,
+  hiddenDownloadedImages: 0.01,
+  staticWithCookies: 0.01,
+  redirects: 0.01,
+  errors: 0.01,
+  fontsExternal: 0.01,
+  belowFoldNoLazy: 0.01,
+  staticNoCache: 0.01,
+  imageLegacyPct: 0.01,
+  wastedImagePct: 0.01,
+  hstsMissing: 0.01,
+  cookieHeaderAvg: 0.01,
+  // Opt-in (weight 0 keeps historical scores)
+  thirdPartyBytesPct: 0,
+  cpuTimeMs: 0,
+  longTasks: 0,
+  jsHeapMB: 0,
+  lcpMs: 0,
+  cls: 0,
+  tbtMs: 0,
+  fcpMs: 0,
+  ttfbMs: 0,
+  domContentLoadedMs: 0,
+  loadMs: 0,
+  unusedJsPct: 0,
+  unusedCssPct: 0,
+  // Environmental impact weights
+  co2Impact: 0.04,
+  energyImpact: 0.03,
+  waterImpact: 0.02,
+  dataImpact: 0.01
 }
 
-function normalizeHigherBetter(value, thresholds) {
-  if (value >= thresholds[3]) return 100
-  if (value >= thresholds[2]) return 75
-  if (value >= thresholds[1]) return 50
-  if (value >= thresholds[0]) return 25
-  return 0
+export const DEFAULT_THRESHOLDS = {
+  requests: [27, 50, 80, 120],
+  transferKB: [300, 800, 1500, 2500],
+  domSize: [800, 1500, 2500, 4000],
+  uniqueDomains: [6, 10, 15, 20],
+  compressedPct: [50, 70, 85, 95],
+  minifiedPct: [50, 70, 85, 95],
+  inlineStyles: [0, 1, 3, 6],
+  inlineScripts: [0, 1, 3, 6],
+  cssFiles: [3, 6, 10, 14],
+  jsFiles: [5, 10, 20, 35],
+  resizedImages: [0, 1, 3, 6],
+  hiddenDownloadedImages: [0, 1, 3, 6],
+  staticWithCookies: [0, 1, 3, 6],
+  redirects: [0, 1, 3, 6],
+  errors: [0, 1, 2, 4],
+  belowFoldNoLazy: [0, 1, 2, 4],
+  staticNoCache: [0, 1, 3, 6],
+  imageLegacyPct: [70, 60, 40, 20],
+  wastedImagePct: [10, 8, 6, 5],
+  cookieHeaderAvg: [1024, 2048, 3072, 4096],
+  thirdPartyBytesPct: [10, 25, 40, 60],
+  // Client-side execution (crawler/runtime-probe.js)
+  cpuTimeMs: [500, 1000, 2000, 4000],
+  longTasks: [0, 2, 5, 10],
+  jsHeapMB: [10, 25, 50, 100],
+  // Web performance: the first two thresholds are the "good" / "poor" limits of Core Web Vitals
+  lcpMs: [2500, 4000, 6000, 8000],
+  cls: [0.1, 0.25, 0.5, 1],
+  tbtMs: [200, 600, 1200, 2000],
+  fcpMs: [1800, 3000, 4500, 6000],
+  ttfbMs: [800, 1800, 3000, 5000],
+  domContentLoadedMs: [1500, 3000, 5000, 8000],
+  loadMs: [2500, 5000, 8000, 12000],
+  // Unused code (crawler/coverage-probe.js); stylesheets are rarely used beyond half
+  unusedJsPct: [25, 40, 55, 70],
+  unusedCssPct: [40, 60, 75, 90],
+  // Environmental impact thresholds (French context)
+  co2_g: [0.5, 1.0, 2.0, 4.0],
+  energy_kWh: [0.0006, 0.0012, 0.0025, 0.005],
+  water_cl: [0.05, 0.1, 0.2, 0.4],
+  dataGB: [0.0005, 0.001, 0.002, 0.004]
 }
 
 function gradeAE(score) {
@@ -42,25 +118,91 @@ function gradeAE(score) {
   return 'G'
 }
 
-function evalKpiCond(m, expr) {
-  try {
-    return new Function('m', `with(m){ return (${expr}); }`)(m)
-  } catch {
-    return false
-  }
+// Names usable in kpi conditions (score_ceilings, bonuses, penalties): page
+// metrics plus the impact estimates
+export const IMPACT_NAMES = ['co2_g', 'water_cl', 'energy_kWh', 'dataGB']
+
+export function conditionNames() {
+  return [...metricNames(), ...IMPACT_NAMES]
 }
 
-function computeScoreCeiling(metrics, kpiCfg) {
+// Metrics only measured on some pages (runtime, web vitals, coverage) are null
+// when absent, so rules naming them do not fire instead of failing
+function conditionScope(metrics, impacts) {
+  const scope = Object.fromEntries(conditionNames().map(k => [k, null]))
+  for (const [k, v] of Object.entries(metrics || {})) if (v !== undefined) scope[k] = v
+  for (const k of IMPACT_NAMES) if (typeof impacts?.[k] === 'number') scope[k] = impacts[k]
+  return scope
+}
+
+// Lowest max_score among the rules whose condition holds, plus the rules that
+// fired and the ones that could not be evaluated (those never fire)
+function computeScoreCeiling(metrics, kpiCfg, impacts) {
   const rules = (kpiCfg && kpiCfg.score_ceilings) || []
+  const scope = conditionScope(metrics, impacts)
   let max = 100
+  const fired = []
+  const errors = []
   for (const r of rules) {
     if (!r || typeof r.max_score !== 'number' || !r.if) continue
-    if (evalKpiCond(metrics, r.if)) {
+    let holds = false
+    try {
+      holds = !!evaluateExpression(String(r.if), scope)
+    } catch (e) {
+      errors.push({ if: r.if, error: e.message })
+      continue
+    }
+    if (holds) {
       const v = Math.max(0, Math.min(100, r.max_score))
       max = Math.min(max, v)
+      fired.push({ if: r.if, max_score: v, label: r.label || null })
     }
   }
-  return max
+  return { max, fired, errors }
+}
+
+// kpi.bonuses / kpi.penalties, either a map of metric flags:
+//   bonuses: { printCss: 2 }          -> +2 when printCss is true (or > 0)
+// or a list of rules:
+//   penalties: [{ if: "thirdPartyBytesPct > 50", points: 5, label: "..." }]
+function adjustmentRules(section) {
+  if (Array.isArray(section)) return section.filter(r => r && typeof r.points === 'number')
+  return Object.entries(section || {})
+    .filter(([, points]) => typeof points === 'number')
+    .map(([metric, points]) => ({ metric, points }))
+}
+
+function ruleHolds(rule, scope) {
+  if (rule.if) return !!evaluateExpression(String(rule.if), scope)
+  const v = scope[rule.metric]
+  return v === true || (typeof v === 'number' && v > 0)
+}
+
+// Applied bonuses (positive points) and penalties (negative points). Each side is
+// capped by kpi.adjustments.max_bonus / max_penalty, rules consuming the cap in order.
+function computeAdjustments(metrics, kpiCfg, impacts) {
+  const scope = conditionScope(metrics, impacts)
+  const opts = kpiCfg?.adjustments || {}
+  const applied = []
+  const errors = []
+  for (const [kind, sign, cap] of [['bonus', 1, opts.max_bonus], ['penalty', -1, opts.max_penalty]]) {
+    let left = typeof cap === 'number' ? cap : Infinity
+    for (const r of adjustmentRules(kpiCfg?.[kind === 'bonus' ? 'bonuses' : 'penalties'])) {
+      const name = r.label || r.metric || r.if
+      let holds = false
+      try {
+        holds = ruleHolds(r, scope)
+      } catch (e) {
+        errors.push({ kind, rule: name, error: e.message })
+        continue
+      }
+      if (!holds) continue
+      const points = Math.min(Math.max(0, r.points), left)
+      left -= points
+      applied.push({ kind, name, points: sign * points, capped: points < r.points })
+    }
+  }
+  return { applied, errors, total: applied.reduce((a, x) => a + x.points, 0) }
 }
 
 export function computeCompositeKpi(metrics, kpiCfg, impacts = null) {
@@ -68,93 +210,54 @@ export function computeCompositeKpi(metrics, kpiCfg, impacts = null) {
   const T = kpiCfg?.thresholds || {}
   
   // Include environmental impact weights (default to 10% total)
-  const weights = {
-    requests: W.requests ?? 0.35,
-    transferKB: W.transferKB ?? 0.20,
-    domSize: W.domSize ?? 0.15,
-    uniqueDomains: W.uniqueDomains ?? 0.08,
-    compressedPct: W.compressedPct ?? 0.04,
-    minifiedPct: W.minifiedPct ?? 0.04,
-    inlineStyles: W.inlineStyles ?? 0.02,
-    inlineScripts: W.inlineScripts ?? 0.02,
-    cssFiles: W.cssFiles ?? 0.015,
-    jsFiles: W.jsFiles ?? 0.015,
-    resizedImages: W.resizedImages ?? 0.01,
-    hiddenDownloadedImages: W.hiddenDownloadedImages ?? 0.01,
-    staticWithCookies: W.staticWithCookies ?? 0.01,
-    redirects: W.redirects ?? 0.01,
-    errors: W.errors ?? 0.01,
-    fontsExternal: W.fontsExternal ?? 0.01,
-    belowFoldNoLazy: W.belowFoldNoLazy ?? 0.01,
-    staticNoCache: W.staticNoCache ?? 0.01,
-    imageLegacyPct: W.imageLegacyPct ?? 0.01,
-    wastedImagePct: W.wastedImagePct ?? 0.01,
-    hstsMissing: W.hstsMissing ?? 0.01,
-    cookieHeaderAvg: W.cookieHeaderAvg ?? 0.01,
-    // Environmental impact weights
-    co2Impact: W.co2Impact ?? 0.04,
-    energyImpact: W.energyImpact ?? 0.03,
-    waterImpact: W.waterImpact ?? 0.02,
-    dataImpact: W.dataImpact ?? 0.01
-  }
+  const weights = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(k => [k, W[k] ?? DEFAULT_WEIGHTS[k]]))
   
   const _sumW = Object.values(weights).reduce((a,b)=>a + (typeof b === 'number' ? b : 0), 0) || 1
   const effW = Object.fromEntries(
     Object.entries(weights).map(([k,v]) => [k, (typeof v === 'number' ? v/_sumW : 0)])
   )
   
-  const thr = {
-    requests: T.requests ?? [27, 50, 80, 120],
-    transferKB: T.transferKB ?? [300, 800, 1500, 2500],
-    domSize: T.domSize ?? [800, 1500, 2500, 4000],
-    uniqueDomains: T.uniqueDomains ?? [6, 10, 15, 20],
-    compressedPct: T.compressedPct ?? [50, 70, 85, 95],
-    minifiedPct: T.minifiedPct ?? [50, 70, 85, 95],
-    inlineStyles: T.inlineStyles ?? [0, 1, 3, 6],
-    inlineScripts: T.inlineScripts ?? [0, 1, 3, 6],
-    cssFiles: T.cssFiles ?? [3, 6, 10, 14],
-    jsFiles: T.jsFiles ?? [5, 10, 20, 35],
-    resizedImages: T.resizedImages ?? [0, 1, 3, 6],
-    hiddenDownloadedImages: T.hiddenDownloadedImages ?? [0, 1, 3, 6],
-    staticWithCookies: T.staticWithCookies ?? [0, 1, 3, 6],
-    redirects: T.redirects ?? [0, 1, 3, 6],
-    errors: T.errors ?? [0, 1, 2, 4],
-    belowFoldNoLazy: T.belowFoldNoLazy ?? [0, 1, 2, 4],
-    staticNoCache: T.staticNoCache ?? [0, 1, 3, 6],
-    imageLegacyPct: T.imageLegacyPct ?? [70, 60, 40, 20],
-    wastedImagePct: T.wastedImagePct ?? [10, 8, 6, 5],
-    cookieHeaderAvg: T.cookieHeaderAvg ?? [1024, 2048, 3072, 4096],
-    // Environmental impact thresholds (French context)
-    co2_g: T.co2_g ?? [0.5, 1.0, 2.0, 4.0],
-    energy_kWh: T.energy_kWh ?? [0.0006, 0.0012, 0.0025, 0.005],
-    water_cl: T.water_cl ?? [0.05, 0.1, 0.2, 0.4],
-    dataGB: T.dataGB ?? [0.0005, 0.001, 0.002, 0.004]
-  }
+  const thr = Object.fromEntries(Object.keys(DEFAULT_THRESHOLDS).map(k => [k, T[k] ?? DEFAULT_THRESHOLDS[k]]))
+
+  const modeOf = (metric) => normalizationMode(kpiCfg?.normalization, metric)
 
   // Normalized metric scores (0..100) BEFORE weighting
   const norms = {}
-  norms.requests = normalizeLowerBetter(metrics.requests, thr.requests)
-  norms.transferKB = normalizeLowerBetter(metrics.transferKB, thr.transferKB)
-  norms.domSize = normalizeLowerBetter(metrics.domSize, thr.domSize)
-  norms.uniqueDomains = normalizeLowerBetter(metrics.uniqueDomains, thr.uniqueDomains)
-  norms.compressedPct = normalizeHigherBetter(metrics.compressedPct, thr.compressedPct)
-  norms.minifiedPct = normalizeHigherBetter(metrics.minifiedPct, thr.minifiedPct)
-  norms.inlineStyles = normalizeLowerBetter(metrics.inlineStyles, thr.inlineStyles)
-  norms.inlineScripts = normalizeLowerBetter(metrics.inlineScripts, thr.inlineScripts)
-  norms.cssFiles = normalizeLowerBetter(metrics.cssFiles, thr.cssFiles)
-  norms.jsFiles = normalizeLowerBetter(metrics.jsFiles, thr.jsFiles)
-  norms.resizedImages = normalizeLowerBetter(metrics.resizedImages, thr.resizedImages)
-  norms.hiddenDownloadedImages = normalizeLowerBetter(metrics.hiddenDownloadedImages, thr.hiddenDownloadedImages)
-  norms.staticWithCookies = normalizeLowerBetter(metrics.staticWithCookies, thr.staticWithCookies)
-  norms.redirects = normalizeLowerBetter(metrics.redirects, thr.redirects)
-  norms.errors = normalizeLowerBetter(metrics.errors, thr.errors)
+  norms.requests = normalizeLowerBetter(metrics.requests, thr.requests, modeOf('requests'))
+  norms.transferKB = normalizeLowerBetter(metrics.transferKB, thr.transferKB, modeOf('transferKB'))
+  norms.domSize = normalizeLowerBetter(metrics.domSize, thr.domSize, modeOf('domSize'))
+  norms.uniqueDomains = normalizeLowerBetter(metrics.uniqueDomains, thr.uniqueDomains, modeOf('uniqueDomains'))
+  norms.compressedPct = normalizeHigherBetter(metrics.compressedPct, thr.compressedPct, modeOf('compressedPct'))
+  norms.minifiedPct = normalizeHigherBetter(metrics.minifiedPct, thr.minifiedPct, modeOf('minifiedPct'))
+  norms.inlineStyles = normalizeLowerBetter(metrics.inlineStyles, thr.inlineStyles, modeOf('inlineStyles'))
+  norms.inlineScripts = normalizeLowerBetter(metrics.inlineScripts, thr.inlineScripts, modeOf('inlineScripts'))
+  norms.cssFiles = normalizeLowerBetter(metrics.cssFiles, thr.cssFiles, modeOf('cssFiles'))
+  norms.jsFiles = normalizeLowerBetter(metrics.jsFiles, thr.jsFiles, modeOf('jsFiles'))
+  norms.resizedImages = normalizeLowerBetter(metrics.resizedImages, thr.resizedImages, modeOf('resizedImages'))
+  norms.hiddenDownloadedImages = normalizeLowerBetter(metrics.hiddenDownloadedImages, thr.hiddenDownloadedImages, modeOf('hiddenDownloadedImages'))
+  norms.staticWithCookies = normalizeLowerBetter(metrics.staticWithCookies, thr.staticWithCookies, modeOf('staticWithCookies'))
+  norms.redirects = normalizeLowerBetter(metrics.redirects, thr.redirects, modeOf('redirects'))
+  norms.errors = normalizeLowerBetter(metrics.errors, thr.errors, modeOf('errors'))
   norms.fontsExternal = (metrics.fontsExternal ? 40 : 100)
-  norms.belowFoldNoLazy = normalizeLowerBetter(metrics.belowFoldNoLazy, thr.belowFoldNoLazy)
-  norms.staticNoCache = normalizeLowerBetter(metrics.staticNoCache, thr.staticNoCache)
-  norms.imageLegacyPct = normalizeLowerBetter(metrics.imageLegacyPct, thr.imageLegacyPct)
-  norms.wastedImagePct = normalizeLowerBetter(metrics.wastedImagePct, thr.wastedImagePct)
+  norms.belowFoldNoLazy = normalizeLowerBetter(metrics.belowFoldNoLazy, thr.belowFoldNoLazy, modeOf('belowFoldNoLazy'))
+  norms.staticNoCache = normalizeLowerBetter(metrics.staticNoCache, thr.staticNoCache, modeOf('staticNoCache'))
+  norms.imageLegacyPct = normalizeLowerBetter(metrics.imageLegacyPct, thr.imageLegacyPct, modeOf('imageLegacyPct'))
+  norms.wastedImagePct = normalizeLowerBetter(metrics.wastedImagePct, thr.wastedImagePct, modeOf('wastedImagePct'))
   norms.hstsMissing = (metrics.hstsMissing ? 40 : 100)
-  norms.cookieHeaderAvg = normalizeLowerBetter(metrics.cookieHeaderAvg, thr.cookieHeaderAvg)
+  norms.cookieHeaderAvg = normalizeLowerBetter(metrics.cookieHeaderAvg, thr.cookieHeaderAvg, modeOf('cookieHeaderAvg'))
+  norms.thirdPartyBytesPct = normalizeLowerBetter(metrics.thirdPartyBytesPct, thr.thirdPartyBytesPct, modeOf('thirdPartyBytesPct'))
+  norms.cpuTimeMs = normalizeLowerBetter(metrics.cpuTimeMs, thr.cpuTimeMs, modeOf('cpuTimeMs'))
+  norms.longTasks = normalizeLowerBetter(metrics.longTasks, thr.longTasks, modeOf('longTasks'))
+  norms.jsHeapMB = normalizeLowerBetter(metrics.jsHeapMB, thr.jsHeapMB, modeOf('jsHeapMB'))
+  norms.lcpMs = normalizeLowerBetter(metrics.lcpMs, thr.lcpMs, modeOf('lcpMs'))
+  norms.cls = normalizeLowerBetter(metrics.cls, thr.cls, modeOf('cls'))
+  norms.tbtMs = normalizeLowerBetter(metrics.tbtMs, thr.tbtMs, modeOf('tbtMs'))
+  norms.fcpMs = normalizeLowerBetter(metrics.fcpMs, thr.fcpMs, modeOf('fcpMs'))
+  norms.ttfbMs = normalizeLowerBetter(metrics.ttfbMs, thr.ttfbMs, modeOf('ttfbMs'))
+  norms.domContentLoadedMs = normalizeLowerBetter(metrics.domContentLoadedMs, thr.domContentLoadedMs, modeOf('domContentLoadedMs'))
+  norms.loadMs = normalizeLowerBetter(metrics.loadMs, thr.loadMs, modeOf('loadMs'))
+  norms.unusedJsPct = normalizeLowerBetter(metrics.unusedJsPct, thr.unusedJsPct, modeOf('unusedJsPct'))
+  norms.unusedCssPct = normalizeLowerBetter(metrics.unusedCssPct, thr.unusedCssPct, modeOf('unusedCssPct'))
 
   // Environmental impact scores
   if (impacts) {
@@ -163,7 +266,7 @@ export function computeCompositeKpi(metrics, kpiCfg, impacts = null) {
       energy_kWh: thr.energy_kWh,
       water_cl: thr.water_cl,
       dataGB: thr.dataGB
-    })
+    }, kpiCfg?.normalization)
     norms.co2Impact = impactScores.co2Score
     norms.energyImpact = impactScores.energyScore
     norms.waterImpact = impactScores.waterScore
@@ -181,13 +284,23 @@ export function computeCompositeKpi(metrics, kpiCfg, impacts = null) {
   for (const k of Object.keys(effW)) parts[k] = (norms[k] ?? 0) * effW[k]
 
   // Apply numeric ceiling scaling
-  const ceiling = computeScoreCeiling(metrics, kpiCfg)
+  const { max: ceiling, fired, errors } = computeScoreCeiling(metrics, kpiCfg, impacts)
   const scale = (ceiling < 100) ? (ceiling / 100) : 1
   if (scale !== 1) for (const k of Object.keys(parts)) parts[k] = parts[k] * scale
 
   let score = Object.values(parts).reduce((a,b)=>a+b,0)
-  score = Math.round(score)
-  score = Math.max(0, Math.min(ceiling < 100 ? ceiling : 100, score))
+
+  // Bonuses/penalties: by default the ceiling still caps the adjusted score;
+  // with kpi.adjustments.apply: after_ceiling a bonus can lift it above the ceiling
+  const adjustments = computeAdjustments(metrics, kpiCfg, impacts)
+  const afterCeiling = kpiCfg?.adjustments?.apply === 'after_ceiling'
+  for (const a of adjustments.applied) parts[`${a.kind}:${a.name}`] = a.points
+  if (afterCeiling) {
+    score = Math.min(ceiling < 100 ? ceiling : 100, Math.round(score)) + adjustments.total
+  } else {
+    score = Math.min(ceiling < 100 ? ceiling : 100, Math.round(score + adjustments.total))
+  }
+  score = Math.max(0, Math.min(100, Math.round(score)))
 
   const grade = gradeAE(score)
 
@@ -198,6 +311,13 @@ export function computeCompositeKpi(metrics, kpiCfg, impacts = null) {
     norms, 
     effW, 
     ceilingApplied: (ceiling < 100 ? ceiling : 100), 
+    // Rules that fired; the binding one is the one with the lowest max_score
+    ceilingRules: fired,
+    ceilingErrors: errors,
+    adjustments: adjustments.applied,
+    adjustmentTotal: adjustments.total,
+    adjustmentErrors: adjustments.errors,
+    normalization: kpiCfg?.normalization || 'step',
     scale 
   }
 }
\ No newline at end of file
@@ -15,8 +15,60 @@
  */
 
 import { pct, isStatic, isImageUrl, isFontUrl, parseCacheControl, isOptimizedImageResponse, isImageResponse } from '../utils/network-helpers.js'
+import { thirdPartyBytesPct } from './attribution.js'
+import { RUNTIME_METRICS } from '../crawler/runtime-probe.js'
 
-export function calculateMetrics(responses, domInfo, net, statusCounts, cfg) {
+function isStaticNoCache(r) {
+  const cc = r.responseHeaders?.['cache-control'] || ''
+  return isStatic(r.url) && (!parseCacheControl(cc).maxAge || /no-(cache|store)/i.test(cc))
+}
+
+// Compares a cold visit (empty cache) with a warm revisit of the same page.
+// A static asset is "re-downloaded" when the warm visit fetched its body again;
+// a 304 means it was only revalidated (headers only).
+export function repeatVisitDetails(coldResponses, warmResponses) {
+  const coldNoCache = new Set(coldResponses.filter(isStaticNoCache).map(r => r.url))
+  const warmStatic = warmResponses.filter(r => isStatic(r.url))
+  const redownloaded = warmStatic.filter(r => !r.fromCache && r.status !== 304 && (r.transferSize || 0) > 0)
+  const revalidated = warmStatic.filter(r => r.status === 304)
+  return {
+    redownloaded,
+    revalidated,
+    noCacheConfirmed: [...redownloaded, ...revalidated].filter(r => coldNoCache.has(r.url))
+  }
+}
+
+export function calculateRepeatVisitMetrics(coldNet, coldResponses, warm) {
+  const coldBytes = coldNet.transferBytes || 0
+  const warmBytes = warm.net.transferBytes || 0
+  const savedBytes = Math.max(0, coldBytes - warmBytes)
+  const details = repeatVisitDetails(coldResponses, warm.responses)
+  return {
+    warmRequests: warm.responses.length,
+    warmTransferKB: Math.round(warmBytes / 1024),
+    warmCachedRequests: warm.responses.filter(r => r.fromCache).length,
+    cacheSavedKB: Math.round(savedBytes / 1024),
+    cacheEfficiencyPct: pct(savedBytes, coldBytes),
+    staticRedownloaded: details.redownloaded.length,
+    staticRevalidated: details.revalidated.length,
+    staticNoCacheConfirmed: details.noCacheConfirmed.length
+  }
+}
+
+// Page-level share of unused code, from the per-file coverage of crawler/coverage-probe.js
+export function calculateCoverageMetrics(files) {
+  const sum = (type, key) => files.filter(f => f.type === type).reduce((a, f) => a + f[key], 0)
+  return {
+    unusedJsKB: Math.round(sum('js', 'unusedBytes') / 1024),
+    unusedJsPct: pct(sum('js', 'unusedBytes'), sum('js', 'totalBytes')),
+    unusedCssKB: Math.round(sum('css', 'unusedBytes') / 1024),
+    unusedCssPct: pct(sum('css', 'unusedBytes'), sum('css', 'totalBytes'))
+  }
+}
+
+// runtime: main-thread cost measured by crawler/runtime-probe.js, coverage: per-file
+// unused code (crawler/coverage-probe.js); both null when not captured
+export function calculateMetrics(responses, domInfo, net, statusCounts, cfg, warm = null, runtime = null, coverage = null) {
   const pageKB_transfer = Math.round((net.transferBytes || 0) / 1024)
   const pageKB_decoded = Math.round((net.decodedBytes || 0) / 1024)
   const transferKB = pageKB_transfer
@@ -111,6 +163,9 @@ export function calculateMetrics(responses, domInfo, net, statusCounts, cfg) {
     pageKB_transfer,
     pageKB_decoded,
     uniqueDomains,
+    // Share of the transferred bytes served by third parties (impact.firstPartyDomains)
+    thirdPartyBytesPct: thirdPartyBytesPct(responses, cfg?.impact),
+    cachedRequests: net.cachedResponses || responses.filter(r => r.fromCache).length,
     errors: statusCounts['4xx'] + statusCounts['5xx'],
     redirects: statusCounts['3xx'],
     
@@ -139,11 +194,7 @@ export function calculateMetrics(responses, domInfo, net, statusCounts, cfg) {
     
     // Cache & Cookies
     staticWithCookies: responses.filter(r => isStatic(r.url) && r.requestHeaders?.cookie).length,
-    staticNoCache: responses.filter(r => 
-      isStatic(r.url) && 
-      (!parseCacheControl(r.responseHeaders['cache-control'] || '').maxAge || 
-       /no-(cache|store)/i.test(r.responseHeaders['cache-control'] || ''))
-    ).length,
+    staticNoCache: responses.filter(isStaticNoCache).length,
     staticShortCache: responses.filter(r => 
       isStatic(r.url) && 
       parseCacheControl(r.responseHeaders['cache-control'] || '').maxAge && 
@@ -166,6 +217,25 @@ export function calculateMetrics(responses, domInfo, net, statusCounts, cfg) {
     belowFoldNoLazy: domInfo.belowFoldNoLazyImages + domInfo.belowFoldNoLazyIframes,
     
     // User Agent
-    userAgent: domInfo.userAgent
+    userAgent: domInfo.userAgent,
+
+    // Repeat visit (warm cache), only when runtime.repeatVisit is enabled
+    ...(warm ? calculateRepeatVisitMetrics(net, responses, warm) : {}),
+
+    // Client-side execution: cpuTimeMs, scriptMs, layoutMs, longTasks, longTaskMs, jsHeapMB,
+    // and the web vitals of the loaded document (lcpMs, cls, tbtMs, fcpMs, ttfbMs, domContentLoadedMs, loadMs)
+    ...(runtime || {}),
+
+    // Unused code (runtime.coverage)
+    ...(coverage ? calculateCoverageMetrics(coverage) : {})
   }
-}
\ No newline at end of file
+}
+// Names of the metrics calculateMetrics produces, found by running it on an empty
+// page with a warm visit, coverage and every runtime metric the probe can report
+// (RUNTIME_METRICS, runtime-probe.js), so the list follows both.
+// Used to check identifiers in config expressions.
+export function metricNames() {
+  const emptyNet = () => ({ domains: new Set() })
+  const runtime = Object.fromEntries(RUNTIME_METRICS.map(k => [k, 0]))
+  return Object.keys(calculateMetrics([], { images: [], iframes: [] }, emptyNet(), {}, {}, { net: emptyNet(), responses: [] }, runtime, []))
+}
@@ -0,0 +1,87 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Maps a metric value onto 0..100 from its 4 thresholds.
+//   step    100/75/50/25/0 buckets (historical behaviour)
+//   linear  piecewise-linear through (t0,100) (t1,75) (t2,50) (t3,25), reaching 0
+//           one more interval past t3
+//   log     same anchors, interpolated on a log scale: suits metrics spanning
+//           orders of magnitude (transferKB, dataGB...)
+// kpi.normalization is a mode name, or { default: mode, metrics: { transferKB: log } }.
+
+export const NORMALIZATION_MODES = ['step', 'linear', 'log']
+
+export function normalizationMode(cfg, metric) {
+  if (typeof cfg === 'string') return cfg
+  return cfg?.metrics?.[metric] || cfg?.default || 'step'
+}
+
+// Thresholds may be listed either way ([10, 8, 6, 5] or [5, 6, 8, 10]); every mode
+// (and the report labels) reads them in ascending order, so the best score always
+// sits on the best end and switching modes only changes the curve shape.
+export const sortedThresholds = (t) => [...t].sort((a, b) => a - b)
+
+function stepScore(value, t, higherBetter) {
+  if (higherBetter) {
+    if (value >= t[3]) return 100
+    if (value >= t[2]) return 75
+    if (value >= t[1]) return 50
+    if (value >= t[0]) return 25
+    return 0
+  }
+  if (value <= t[0]) return 100
+  if (value <= t[1]) return 75
+  if (value <= t[2]) return 50
+  if (value <= t[3]) return 25
+  return 0
+}
+
+// Anchors (value, score) sorted by value; the 0 anchor extends the last interval
+function anchors(s, higherBetter) {
+  const pts = higherBetter
+    ? [[s[3], 100], [s[2], 75], [s[1], 50], [s[0], 25], [s[0] - (s[1] - s[0]), 0]]
+    : [[s[0], 100], [s[1], 75], [s[2], 50], [s[3], 25], [s[3] + (s[3] - s[2]), 0]]
+  return pts.sort((a, b) => a[0] - b[0])
+}
+
+function interpolate(value, pts, f) {
+  if (value <= pts[0][0]) return pts[0][1]
+  for (let i = 1; i < pts.length; i++) {
+    const [x1, y1] = pts[i]
+    if (value > x1) continue
+    const [x0, y0] = pts[i - 1]
+    const span = f(x1) - f(x0)
+    return span > 0 ? y0 + (y1 - y0) * (f(value) - f(x0)) / span : y1
+  }
+  return pts[pts.length - 1][1]
+}
+
+export function normalize(value, thresholds, { higherBetter = false, mode = 'step' } = {}) {
+  // Missing values score 0 in every mode, as they always did with buckets
+  const t = sortedThresholds(thresholds)
+  if (mode === 'step' || typeof value !== 'number' || !Number.isFinite(value)) return stepScore(value, t, higherBetter)
+  const pts = anchors(t, higherBetter)
+  let f = (x) => x
+  if (mode === 'log') {
+    // log1p relative to the smallest positive threshold: handles 0 and tiny units (GB, kWh)
+    const unit = Math.min(...thresholds.filter(x => x > 0)) || 1
+    f = (x) => Math.log1p(Math.max(0, x) / unit)
+  }
+  return Math.round(interpolate(value, pts, f) * 10) / 10 || 0
+}
+
+export const normalizeLowerBetter = (value, thresholds, mode) => normalize(value, thresholds, { mode })
+export const normalizeHigherBetter = (value, thresholds, mode) => normalize(value, thresholds, { higherBetter: true, mode })
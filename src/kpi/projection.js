@@ -0,0 +1,156 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { round2 } from '../utils/file-helpers.js'
+
+// Yearly projection of the per-view impacts from monthly page views:
+//   targets[].pages[].monthlyViews   views of one page
+//   targets[].monthlyViews           views of the product, split across its pages by weight
+//   traffic.csv                      analytics export: product, page (name or URL), monthlyViews
+//   traffic.cacheHitRatio            share of views served from a warm cache (runtime.repeatVisit)
+
+// Reference values for the equivalences (ADEME orders of magnitude)
+export const EQUIVALENCES = {
+  carKm_gCO2: 218, // average car, gCO2e per km
+  householdElectricity_kWh: 4700, // French household, kWh per year
+  shower_L: 60,
+  smartphoneCharge_kWh: 0.015
+}
+
+// Minimal CSV reader: header row, "," or ";" separators, double-quoted fields
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim())
+  if (!lines.length) return []
+  const sep = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ','
+  const split = (line) => {
+    const out = []
+    let cur = ''
+    let quoted = false
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i]
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') { cur += '"'; i++ } else if (c === '"') quoted = false
+        else cur += c
+      } else if (c === '"') quoted = true
+      else if (c === sep) { out.push(cur.trim()); cur = '' } else cur += c
+    }
+    out.push(cur.trim())
+    return out
+  }
+  const headers = split(lines[0]).map(h => h.toLowerCase())
+  return lines.slice(1).map(l => Object.fromEntries(split(l).map((v, i) => [headers[i], v])))
+}
+
+// Map "product|page" -> monthly views. `page` may be the page name or its URL;
+// a row without page applies to the whole product.
+export function loadTrafficCsv(csvPath) {
+  const rows = parseCsv(fs.readFileSync(path.resolve(csvPath), 'utf8'))
+  const views = new Map()
+  for (const [i, row] of rows.entries()) {
+    const n = Number(String(row.monthlyviews ?? row.views ?? '').replace(/[\s ]/g, ''))
+    if (!row.product || !Number.isFinite(n)) {
+      console.warn(`[traffic] ${csvPath}:${i + 2}: expected product and monthlyViews, row ignored`)
+      continue
+    }
+    views.set(`${row.product}|${row.page || ''}`.toLowerCase(), n)
+  }
+  return views
+}
+
+// Monthly views of each measured page of a product. `pages` are the global report
+// entries (deduplicated by name: several emulation profiles are one page).
+export function monthlyViewsByPage(product, pages, cfg, csvViews = new Map()) {
+  const target = (cfg.targets || []).find(t => t.product === product) || {}
+  const configured = new Map((target.pages || []).map(p => [p.name, p]))
+  const key = (page) => `${product}|${page}`.toLowerCase()
+  const out = new Map()
+  const rest = []
+  for (const p of pages) {
+    const views = configured.get(p.name)?.monthlyViews ?? csvViews.get(key(p.name)) ?? csvViews.get(key(p.url))
+    if (typeof views === 'number') out.set(p.name, views)
+    else rest.push(p)
+  }
+  const productViews = target.monthlyViews ?? csvViews.get(key(''))
+  if (typeof productViews === 'number' && rest.length) {
+    const sumW = rest.reduce((a, p) => a + (typeof p.weight === 'number' ? p.weight : 1), 0) || 1
+    for (const p of rest) out.set(p.name, productViews * (typeof p.weight === 'number' ? p.weight : 1) / sumW)
+  }
+  return out
+}
+
+// Impacts of one average view. A cache hit only saves transfer: its network and
+// data centre share is scaled by the warm/cold transfer ratio measured by
+// runtime.repeatVisit (a cold view without it), the device CPU share is unchanged.
+export function perViewImpacts(metrics, cacheHitRatio = 0) {
+  const warmFactor = (typeof metrics.warmTransferKB === 'number' && metrics.transferKB > 0) ? metrics.warmTransferKB / metrics.transferKB : 1
+  const f = (1 - cacheHitRatio) + cacheHitRatio * warmFactor
+  const energy = metrics.energy_kWh || 0
+  const deviceEnergy = Math.min(metrics.deviceEnergy_kWh || 0, energy)
+  const deviceCo2 = metrics.deviceCo2_g || 0
+  // Water follows energy: same split between transfer and device
+  const waterFactor = energy > 0 ? ((energy - deviceEnergy) * f + deviceEnergy) / energy : f
+  return {
+    energy_kWh: (energy - deviceEnergy) * f + deviceEnergy,
+    co2_g: ((metrics.co2_g || 0) - deviceCo2) * f + deviceCo2,
+    water_cl: (metrics.water_cl || 0) * waterFactor,
+    dataGB: (metrics.dataGB || 0) * f
+  }
+}
+
+export function annualise(perView, monthlyViews) {
+  const n = monthlyViews * 12
+  return {
+    energy_kWh: round2(perView.energy_kWh * n),
+    co2_kg: round2(perView.co2_g * n / 1000),
+    water_L: round2(perView.water_cl * n / 100),
+    dataGB: round2(perView.dataGB * n)
+  }
+}
+
+export function equivalences(yearly) {
+  return {
+    carKm: Math.round(yearly.co2_kg * 1000 / EQUIVALENCES.carKm_gCO2),
+    households: round2(yearly.energy_kWh / EQUIVALENCES.householdElectricity_kWh),
+    showers: Math.round(yearly.water_L / EQUIVALENCES.shower_L),
+    smartphoneCharges: Math.round(yearly.energy_kWh / EQUIVALENCES.smartphoneCharge_kWh)
+  }
+}
+
+// Per-page and total yearly projection for a product, or null without any traffic data
+export function projectProduct(product, pages, cfg, csvViews) {
+  // Same page under several emulation profiles: the first profile stands for it
+  const unique = pages.filter((p, i) => pages.findIndex(q => q.name === p.name) === i)
+  const views = monthlyViewsByPage(product, unique, cfg, csvViews)
+  if (!views.size) return null
+  // swdm-v4 already models return visits (returnVisitorRatio)
+  const cacheHitRatio = cfg.impact?.model === 'swdm-v4' ? 0 : (cfg.traffic?.cacheHitRatio ?? 0)
+  const rows = unique.filter(p => views.has(p.name) && p.metrics).map(p => {
+    const perView = perViewImpacts(p.metrics, cacheHitRatio)
+    return { name: p.name, monthlyViews: Math.round(views.get(p.name)), perView, yearly: annualise(perView, views.get(p.name)) }
+  })
+  const sum = (k) => round2(rows.reduce((a, r) => a + r.yearly[k], 0))
+  const total = { energy_kWh: sum('energy_kWh'), co2_kg: sum('co2_kg'), water_L: sum('water_L'), dataGB: sum('dataGB') }
+  return {
+    cacheHitRatio,
+    monthlyViews: rows.reduce((a, r) => a + r.monthlyViews, 0),
+    pages: rows,
+    unprojected: unique.filter(p => !views.has(p.name)).map(p => p.name),
+    total,
+    equivalences: equivalences(total)
+  }
+}
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { round2, round4 } from '../utils/file-helpers.js'
+
+// Linear interpolation between closest ranks (same as numpy's default)
+export function percentile(sorted, p) {
+  if (!sorted.length) return 0
+  const idx = (sorted.length - 1) * p
+  const lo = Math.floor(idx)
+  const hi = Math.ceil(idx)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo)
+}
+
+export function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const n = sorted.length
+  const mean = sorted.reduce((a, b) => a + b, 0) / (n || 1)
+  const variance = sorted.reduce((a, b) => a + (b - mean) ** 2, 0) / (n || 1)
+  // Small values (kWh, GB) need more decimals than counts and KB
+  const r = Math.abs(mean) < 0.1 ? round4 : round2
+  return {
+    median: r(percentile(sorted, 0.5)),
+    p90: r(percentile(sorted, 0.9)),
+    min: r(sorted[0] ?? 0),
+    max: r(sorted[n - 1] ?? 0),
+    stddev: r(Math.sqrt(variance))
+  }
+}
+
+// Aggregates the metrics of N runs of the same page.
+// Numbers -> median (spread kept per key), booleans -> majority, others -> first run.
+// `representative` is the index of the run closest to the median transfer size,
+// used for the per-response logs and the detailed report.
+export function aggregateRuns(metricsList) {
+  const first = metricsList[0] || {}
+  const metrics = {}
+  const spread = {}
+  for (const key of Object.keys(first)) {
+    const values = metricsList.map(m => m[key])
+    if (values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+      const stats = describe(values)
+      metrics[key] = Number.isInteger(first[key]) && values.every(Number.isInteger) ? Math.round(stats.median) : stats.median
+      if (metricsList.length > 1) spread[key] = stats
+    } else if (values.every(v => typeof v === 'boolean')) {
+      metrics[key] = values.filter(Boolean).length * 2 > values.length
+    } else {
+      metrics[key] = first[key]
+    }
+  }
+
+  let representative = 0
+  const target = metrics.transferKB
+  if (typeof target === 'number') {
+    let best = Infinity
+    metricsList.forEach((m, i) => {
+      const d = Math.abs((m.transferKB || 0) - target)
+      if (d < best) { best = d; representative = i }
+    })
+  }
+
+  return { metrics, spread, representative, runs: metricsList.length }
+}
+
+// Product-wide view over many pages (discovery mode): score/size distribution
+// and grade counts. `pages` are the entries of the global report.
+export function coverageStats(pages) {
+  const scores = pages.map(p => p.score || 0)
+  const grades = {}
+  for (const p of pages) grades[p.grade || '?'] = (grades[p.grade || '?'] || 0) + 1
+  const transfer = pages.map(p => p.metrics?.transferKB || 0)
+  const sum = (arr) => arr.reduce((a, b) => a + b, 0)
+  const sortedScores = [...scores].sort((a, b) => a - b)
+  return {
+    pages: pages.length,
+    scoreMedian: Math.round(percentile(sortedScores, 0.5)),
+    scoreP10: Math.round(percentile(sortedScores, 0.1)),
+    gradeCounts: grades,
+    // Share of pages graded D or worse
+    poorPct: pages.length ? Math.round(pages.filter(p => ['D', 'E', 'F', 'G'].includes(p.grade)).length * 100 / pages.length) : 0,
+    transferKB: describe(transfer),
+    totalTransferKB: round2(sum(transfer)),
+    totalCo2_g: round4(sum(pages.map(p => p.metrics?.co2_g || 0)))
+  }
+}
@@ -17,24 +17,36 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import * as yaml from 'yaml'
 
 // Utils
 import { ensureDir, nowIso, safeName, prettyBytes } from './utils/file-helpers.js'
-import { loadConfig } from './utils/config-loader.js'
+import { resolveConfig, assertValidConfig, redactConfig, configHash, ConfigError } from './utils/config-loader.js'
+import { formatIssue } from './utils/config-schema.js'
+import { runPool, createOrderedEmitter } from './utils/pool.js'
 
 // Crawler
-import { createBrowserContext, closeBrowserContext } from './crawler/browser-manager.js'
-import { performLogin } from './crawler/auth-handler.js'
+import { createBrowserContext, closeBrowserContext, launchBrowser, createIsolatedContext, closeBrowser } from './crawler/browser-manager.js'
+import { ensureSession } from './crawler/auth-handler.js'
+import { resetAuthStrategy } from './crawler/auth-strategies.js'
 import { crawlPage } from './crawler/page-crawler.js'
+import { crawlJourney } from './crawler/journey-crawler.js'
+import { discoverPages } from './crawler/discovery.js'
+import { createPoliteness } from './crawler/politeness.js'
+import { resolveProfile, profilesForPage, applyEmulation } from './crawler/emulation-profiles.js'
 
 // KPI
 import { calculateMetrics } from './kpi/metrics-calculator.js'
 import { computeCompositeKpi } from './kpi/kpi-scorer.js'
-import { estimateImpactsFromTransfer } from './kpi/impact-estimator.js'
+import { ecoIndexFromMetrics, ecoIndexGrade } from './kpi/ecoindex.js'
+import { estimateImpacts, modelImpacts, greenShare, greenHostIntensity } from './kpi/impact-models.js'
+import { attributeImpacts } from './kpi/attribution.js'
+import { aggregateRuns, coverageStats } from './kpi/run-aggregator.js'
+import { loadTrafficCsv, projectProduct } from './kpi/projection.js'
 
 // Reporting
 import { appendToHistory, appendToCsv } from './reporting/csv-exporter.js'
-import { generateDetailedReport } from './reporting/report-generator.js'
+import { generateDetailedReport, generateJourneyReport } from './reporting/report-generator.js'
 import { compareLatestReports } from './reporting/diff-generator.js'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -50,15 +62,441 @@ function gradeAE(score) {
   return 'G'
 }
 
+// impact.model decides how bytes become energy/CO2 (see kpi/impact-models.js);
+// responses give the green-hosted share, metrics the measured return-visit bytes
+// and main-thread time (impact.device).
+// The totals are then attributed to hosts, first/third parties and categories.
+function impactsFor(bytes, cfg, { responses = [], metrics = {} } = {}) {
+  const impactCfg = cfg?.impact || {}
+  const warmBytes = typeof metrics.warmTransferKB === 'number' ? metrics.warmTransferKB * 1024 : undefined
+  const impacts = estimateImpacts({ bytes, warmBytes, green: greenShare(responses, impactCfg), metrics }, impactCfg)
+  const share = bytes ? 1 / bytes : 0
+  // Only the transfer share is split by host (the device CPU share is not tied to bytes)
+  impacts.attribution = attributeImpacts(responses, impacts.transfer, impactCfg, (hostBytes, host) => {
+    const intensity = greenHostIntensity(host, impactCfg)
+    return modelImpacts({
+      bytes: hostBytes,
+      warmBytes: warmBytes != null ? warmBytes * hostBytes * share : undefined,
+      green: intensity != null ? { ratio: 1, g_per_kWh: intensity } : undefined,
+      metrics
+    }, impactCfg)
+  })
+  return impacts
+}
+
+// Metrics, impacts and KPI for one capture (page, journey step or whole journey)
+function scoreCapture(captured, cfg, warm = null) {
+  const { responses, domInfo, net, statusCounts, runtime, coverage } = captured
+  const metrics = calculateMetrics(responses, domInfo, net, statusCounts, cfg, warm, runtime, coverage)
+  const impacts = impactsFor(net.transferBytes, cfg, { responses, metrics })
+  const kpi = computeCompositeKpi(metrics, cfg.kpi || {}, impacts)
+  return { metrics, impacts, kpi }
+}
+
+// Scores N runs of the same page: KPI and impacts are computed from the median metrics
+function scoreRuns(runs, cfg) {
+  const perRun = runs.map(r => {
+    const metrics = calculateMetrics(r.crawl.responses, r.crawl.domInfo, r.crawl.net, r.crawl.statusCounts, cfg, r.warm, r.crawl.runtime, r.crawl.coverage)
+    const { co2_g, water_cl, energy_kWh, dataGB } = impactsFor(r.crawl.net.transferBytes, cfg, { responses: r.crawl.responses, metrics })
+    return { ...metrics, transferBytes: r.crawl.net.transferBytes, co2_g, water_cl, energy_kWh, dataGB }
+  })
+  const { metrics: { transferBytes, ...metrics }, spread, representative } = aggregateRuns(perRun)
+  const impacts = impactsFor(transferBytes, cfg, { responses: runs[representative].crawl.responses, metrics })
+  const kpi = computeCompositeKpi(metrics, cfg.kpi || {}, impacts)
+  return { metrics, impacts, kpi, spread, representative }
+}
+
+// EcoIndex columns of a history record (computed from the same metrics as the KPI)
+function ecoIndexFields(metrics) {
+  const e = ecoIndexFromMetrics(metrics)
+  return { ecoIndex: e.score, ecoIndexGrade: e.grade, ecoIndexGes_g: e.ges_g, ecoIndexWater_cl: e.water_cl }
+}
+
+// Metrics kept in the _RUN_ snapshot (used by the diff generator)
+function snapshotMetrics(result) {
+  return {
+    requests: result.requests,
+    transferKB: result.transferKB,
+    domSize: result.domSize,
+    uniqueDomains: result.uniqueDomains,
+    thirdPartyBytesPct: result.thirdPartyBytesPct,
+    compressedPct: result.compressedPct,
+    minifiedPct: result.minifiedPct,
+    inlineStyles: result.inlineStyles,
+    inlineScripts: result.inlineScripts,
+    cssFiles: result.cssFiles,
+    jsFiles: result.jsFiles,
+    resizedImages: result.resizedImages,
+    hiddenDownloadedImages: result.hiddenDownloadedImages,
+    belowFoldNoLazy: result.belowFoldNoLazy,
+    staticNoCache: result.staticNoCache,
+    staticShortCache: result.staticShortCache,
+    staticWithCookies: result.staticWithCookies,
+    imageLegacyPct: result.imageLegacyPct,
+    wastedImagePct: result.wastedImagePct,
+    errors: result.errors,
+    redirects: result.redirects,
+    cookieHeaderAvg: result.cookieHeaderAvg,
+    fontsExternal: result.fontsExternal,
+    hstsMissing: result.hstsMissing,
+    // Repeat visit (runtime.repeatVisit)
+    warmTransferKB: result.warmTransferKB,
+    cacheSavedKB: result.cacheSavedKB,
+    cacheEfficiencyPct: result.cacheEfficiencyPct,
+    staticNoCacheConfirmed: result.staticNoCacheConfirmed,
+    // Client-side execution (crawler/runtime-probe.js)
+    cpuTimeMs: result.cpuTimeMs,
+    longTasks: result.longTasks,
+    jsHeapMB: result.jsHeapMB,
+    lcpMs: result.lcpMs,
+    cls: result.cls,
+    tbtMs: result.tbtMs,
+    // Unused code (runtime.coverage)
+    unusedJsPct: result.unusedJsPct,
+    unusedCssPct: result.unusedCssPct,
+    // Environmental impact metrics
+    co2_g: result.co2_g,
+    energy_kWh: result.energy_kWh,
+    water_cl: result.water_cl,
+    dataGB: result.dataGB,
+    deviceEnergy_kWh: result.deviceEnergy_kWh,
+    deviceCo2_g: result.deviceCo2_g,
+    thirdPartyCo2Pct: result.thirdPartyCo2Pct
+  }
+}
+
+function getProductAgg(productTotals, product) {
+  if (!productTotals.has(product)) {
+    productTotals.set(product, {
+      sumWeightedScore: 0,
+      sumWeights: 0,
+      pages: [],
+      journeys: [],
+      skipped: [],
+      discovery: null
+    })
+  }
+  return productTotals.get(product)
+}
+
+// Crawls one page (runtime.repetitions runs) and scores it. Nothing is persisted
+// here, so targets crawled in parallel can be written out in config order.
+async function measurePage(page, target, p, env, profileName = null, authState = 'public') {
+  const { cfg, pagesDir } = env
+  const ts = nowIso().replace(/[:.]/g, '-')
+  const baseName = `${safeName(target.product)}_${safeName(p.name)}${profileName ? '_' + safeName(profileName) : ''}_${ts}`
+
+  // Device/network emulation (emulation.profiles); no profile resets to the context defaults
+  await applyEmulation(page, resolveProfile(profileName, cfg))
+
+  // Crawl the page N times (runtime.repetitions); each run is a cold visit
+  // followed by a warm revisit when measuring repeat visits
+  const repeatVisit = !!cfg.runtime?.repeatVisit
+  const repetitions = Math.max(1, parseInt(cfg.runtime?.repetitions, 10) || 1)
+  const runs = []
+  for (let i = 0; i < repetitions; i++) {
+    if (repetitions > 1) console.log(`[${target.product}] ${p.name}: run ${i + 1}/${repetitions}`)
+    await env.politeness.waitTurn(page.context(), p.url)
+    const crawl = await crawlPage(page, p, cfg, { clearCache: repeatVisit })
+    env.politeness.spend(crawl.responses.length)
+
+    // Save page HTML (first run)
+    if (i === 0) {
+      try {
+        const html = await page.content()
+        fs.writeFileSync(path.join(pagesDir, `${baseName}.html`), html)
+      } catch {}
+    }
+
+    // Warm revisit: same page, HTTP cache primed by the cold visit
+    let warm = null
+    if (repeatVisit) {
+      await env.politeness.waitTurn(page.context(), p.url)
+      warm = await crawlPage(page, p, cfg)
+      env.politeness.spend(warm.responses.length)
+    }
+    runs.push({ crawl, warm })
+  }
+
+  // Metrics, environmental impact and KPI (median of the runs, cold visits)
+  const { metrics, impacts, kpi, spread, representative } = scoreRuns(runs, cfg)
+  const { crawl: crawlResult, warm } = runs[representative]
+  const { responses, statusCounts, protoCounts, jsErrors, domInfo, net, stepResults } = crawlResult
+
+  const meta = {
+    timestamp: nowIso(),
+    product: target.product,
+    pageName: p.name,
+    url: p.url,
+    profile: profileName || 'default',
+    authState
+  }
+
+  const result = {
+    ...meta,
+    recordType: 'page',
+    kpiScore: kpi.score,
+    kpiGrade: kpi.grade,
+    ...ecoIndexFields(metrics),
+    ...metrics,
+    // Protocol counts
+    http1Count: protoCounts['http/1.1'],
+    h2Count: protoCounts['h2'],
+    h3Count: protoCounts['h3'],
+    httpOtherCount: protoCounts['other'],
+    jsErrorCount: jsErrors.length,
+    // Scenario
+    scenarioSteps: stepResults.length,
+    scenarioStepsFailed: stepResults.filter(r => !r.ok).length,
+    // Impact
+    co2_g: impacts.co2_g,
+    water_cl: impacts.water_cl,
+    energy_kWh: impacts.energy_kWh,
+    dataGB: impacts.dataGB,
+    // Device CPU share (impact.device), kept apart for the yearly projection
+    ...(impacts.segments?.deviceCpu ? { deviceEnergy_kWh: impacts.segments.deviceCpu.energy_kWh, deviceCo2_g: impacts.segments.deviceCpu.co2_g } : {}),
+    impactModel: impacts.model,
+    impactGrid: impacts.params.grid,
+    impactParams: impacts.params,
+    thirdPartyCo2Pct: impacts.attribution.thirdPartyCo2Pct,
+    // Run-to-run variance (runtime.repetitions > 1)
+    repetitions,
+    ...(repetitions > 1 ? { spread } : {})
+  }
+
+  return { target, p, baseName, meta, result, kpi, impacts, spread, repetitions, crawl: crawlResult, warm }
+}
+
+// Pages left out of the measurement are listed in the global report
+function recordSkipped({ target, p, reason, detail }, env) {
+  console.warn(`[${target.product}] ${p.name}: not measured (${reason}${detail ? ': ' + detail : ''}) ${p.url}`)
+  getProductAgg(env.productTotals, target.product).skipped.push({ name: p.name, url: p.url, reason, detail })
+}
+
+// crawlTarget yields measured pages, skipped pages, dry-run entries and discovery stats
+function persistItem(item, env) {
+  if (item.discovery) getProductAgg(env.productTotals, item.target.product).discovery = item.discovery
+  else if (item.skipped) recordSkipped(item, env)
+  else if (item.dryRun) {
+    const profiles = item.profiles.filter(Boolean)
+    console.log(`[dry-run] ${item.target.product} | ${item.p.name} | ${item.p.url}${item.needsAuth ? ' | auth' : ''}${profiles.length ? ` | profiles: ${profiles.join(', ')}` : ''}`)
+  } else persistPage(item, env)
+}
+
+// Writes history, CSV, reports and logs of a measured page and adds it to the product totals
+function persistPage(measured, env) {
+  const { cfg, outDir, logsDir, historyPath, csvPath, productTotals } = env
+  const { target, p, baseName, meta, result, kpi, impacts, spread, repetitions, warm } = measured
+  const { responses, statusCounts, protoCounts, jsErrors, domInfo, net, stepResults } = measured.crawl
+
+  // Persist history & CSV
+  appendToHistory(historyPath, result)
+  appendToCsv(csvPath, result)
+
+  // Generate detailed report
+  generateDetailedReport(outDir, meta, result, kpi, domInfo, responses, cfg, impacts, {
+    warmResponses: warm ? warm.responses : null,
+    coverage: measured.crawl.coverage
+  })
+
+  // Persist per-page network logs
+  fs.writeFileSync(path.join(logsDir, `${baseName}_responses.json`), JSON.stringify({
+    meta,
+    responses,
+    statusCounts,
+    protoCounts,
+    ...(warm ? { warmResponses: warm.responses } : {})
+  }, null, 2))
+  
+  if (jsErrors.length) {
+    fs.writeFileSync(path.join(logsDir, `${baseName}_jserrors.json`), JSON.stringify({
+      meta,
+      jsErrors
+    }, null, 2))
+  }
+
+  // Console summary
+  console.log(`\n[${target.product}] ${p.name}${meta.profile !== 'default' ? ` @ ${meta.profile}` : ''}${meta.authState === 'failed' ? ' ⚠ login failed' : ''}`)
+  const binding = (kpi.ceilingRules || []).find(r => r.max_score === kpi.ceilingApplied)
+  console.log(`  KPI: ${result.kpiGrade} (${result.kpiScore})` + (kpi.ceilingApplied < 100 ? ` | Ceiling: ${kpi.ceilingApplied}${binding ? ` (${binding.label || binding.if})` : ''}` : '') +
+    (kpi.adjustments?.length ? ` | Bonus/penalty: ${kpi.adjustments.map(a => `${a.points >= 0 ? '+' : ''}${a.points} ${a.name}`).join(', ')}` : ''))
+  for (const e of (kpi.ceilingErrors || [])) console.warn(`  Ceiling rule ignored: ${e.error}`)
+  for (const e of (kpi.adjustmentErrors || [])) console.warn(`  ${e.kind === 'bonus' ? 'Bonus' : 'Penalty'} rule ignored: ${e.error}`)
+  if (repetitions > 1) {
+    console.log(`  Runs: ${repetitions} (median) | Transfer p90/min/max/σ: ${spread.transferKB.p90}/${spread.transferKB.min}/${spread.transferKB.max}/${spread.transferKB.stddev} KB | Requests σ: ${spread.requests.stddev}`)
+  }
+  if (stepResults.length) console.log(`  Scenario: ${stepResults.length} steps (${result.scenarioStepsFailed} failed)`)
+
+  // Per-page weight
+  const pageWeight = (typeof p.weight === 'number' ? p.weight :
+    ((cfg?.kpi?.page_weights && ((cfg.kpi.page_weights[target.product] && cfg.kpi.page_weights[target.product][p.name]) ?? cfg.kpi.page_weights[p.name])) ?? 1))
+  
+  // Aggregate product-level weighted score
+  const agg = getProductAgg(productTotals, target.product)
+  agg.sumWeightedScore += (kpi.score || 0) * pageWeight
+  agg.sumWeights += pageWeight
+  
+  agg.pages.push({
+    name: p.name,
+    url: p.url,
+    profile: meta.profile,
+    authState: meta.authState,
+    discovered: !!p.discovered,
+    score: kpi.score || 0,
+    grade: kpi.grade || '?',
+    ecoIndex: result.ecoIndex,
+    ecoIndexGrade: result.ecoIndexGrade,
+    impactModel: `${impacts.model}/${impacts.params.grid}`,
+    weight: pageWeight,
+    metrics: snapshotMetrics(result),
+    norms: kpi.norms || null,
+    breakdown: kpi.breakdown || null,
+    effW: kpi.effW || null,
+    ceilingApplied: kpi.ceilingApplied || 100,
+    ceilingRules: kpi.ceilingRules || [],
+    adjustments: kpi.adjustments || [],
+    normalization: kpi.normalization || 'step',
+    scale: kpi.scale || 1,
+    repetitions,
+    spread: repetitions > 1 ? spread : null
+  })
+
+  console.log(`  EcoIndex: ${result.ecoIndexGrade} (${result.ecoIndex}) | GES≈${result.ecoIndexGes_g} gCO₂e | Eau≈${result.ecoIndexWater_cl} cL`)
+  console.log(`  DOM: ${result.domSize} | Requests: ${result.requests} | Transfer: ${prettyBytes(net.transferBytes)} | Decoded: ${prettyBytes(net.decodedBytes)} | Domains: ${result.uniqueDomains}`)
+  console.log(`  Status 2xx/3xx/4xx/5xx: ${statusCounts['2xx']}/${statusCounts['3xx']}/${statusCounts['4xx']}/${statusCounts['5xx']} | Redirects: ${result.redirects}`)
+  console.log(`  HTTP protocols: h1=${result.http1Count} h2=${result.h2Count} h3=${result.h3Count} other=${result.httpOtherCount} | JS errors: ${result.jsErrorCount}`)
+  console.log(`  Lazy missing img/iframe: ${domInfo.belowFoldNoLazyImages}/${domInfo.belowFoldNoLazyIframes} | Responsive img: ${result.imageResponsivePct}%`)
+  console.log(`  Legacy vs optimized images: ${result.imageLegacyCount}/${result.imageOptimizedCount} | Wasted ≈ ${result.wastedImageKB} KB (${result.wastedImagePct}%)`)
+  console.log(`  Fonts: ${result.fontFileCount} files, ${prettyBytes(result.fontBytes)} | HSTS missing: ${result.hstsMissing}`)
+  console.log(`  Static no-cache/short: ${result.staticNoCache}/${result.staticShortCache} | Static with cookies (domains): ${result.staticWithCookies} (${result.staticCookieDomains})`)
+  console.log(`  Page size: ${result.pageKB_transfer} KB (${result.pageKB_decoded} KB décodé) | Compression (compressibles): ${result.compressedPct}%`)
+  if (warm) {
+    console.log(`  Repeat visit: ${result.warmTransferKB} KB / ${result.warmRequests} req (${result.warmCachedRequests} from cache) | Saved: ${result.cacheSavedKB} KB (${result.cacheEfficiencyPct}%) | Static re-downloaded: ${result.staticRedownloaded} (no-cache confirmed: ${result.staticNoCacheConfirmed})`)
+  }
+  console.log(`  Impact (model=${impacts.model}, grid=${impacts.params.grid} ${impacts.params.grid_g_per_kWh} g/kWh): CO₂≈${result.co2_g} g | Eau≈${result.water_cl} cL | Énergie≈${result.energy_kWh} kWh | Données≈${result.dataGB} GB`)
+  console.log(`  Third parties: ${impacts.attribution.thirdPartyBytesPct}% of bytes, ${impacts.attribution.thirdPartyCo2Pct}% of CO₂`)
+  if (typeof result.cpuTimeMs === 'number') {
+    console.log(`  Main thread: ${result.cpuTimeMs} ms (script ${result.scriptMs} ms, layout ${result.layoutMs} ms) | Long tasks: ${result.longTasks} (${result.longTaskMs} ms) | JS heap: ${result.jsHeapMB} MB` +
+      (impacts.segments?.deviceCpu ? ` | Device CPU≈${impacts.segments.deviceCpu.energy_kWh} kWh` : ''))
+  }
+  if (typeof result.unusedJsPct === 'number') {
+    console.log(`  Unused code: JS ${result.unusedJsKB} KB (${result.unusedJsPct}%) | CSS ${result.unusedCssKB} KB (${result.unusedCssPct}%)`)
+  }
+  if (typeof result.lcpMs === 'number' || typeof result.fcpMs === 'number') {
+    console.log(`  Web vitals: LCP ${result.lcpMs ?? '-'} ms | CLS ${result.cls ?? '-'} | TBT ${result.tbtMs ?? '-'} ms | FCP ${result.fcpMs ?? '-'} ms | TTFB ${result.ttfbMs ?? '-'} ms | DCL/load ${result.domContentLoadedMs ?? '-'}/${result.loadMs ?? '-'} ms`)
+  }
+}
+
+// Crawls the pages of one target on its own context/page: public pages first, then login and private pages
+async function crawlTarget(target, context, page, env) {
+  const { cfg, persistSession, authDir } = env
+  try { 
+    await context.clearCookies() 
+  } catch {}
+  await resetAuthStrategy(context)
+  const measured = []
+
+  // Discovery mode: sitemap / link crawl adds pages after the listed ones
+  let discovered = []
+  if (target.discover) {
+    try {
+      const { pages, stats } = await discoverPages(context, target, cfg, env.politeness)
+      discovered = pages
+      measured.push({ discovery: stats, target })
+    } catch (e) {
+      console.error(`[discover] ${target.product} failed: ${e?.message || e}`)
+    }
+  }
+
+  // Per-product auth: run public pages first, then login and run private pages
+  const productLoginCfg = target.login || cfg.login
+  // Sort: public (no auth) first, then auth-required
+  const _pagesOrdered = [...(target.pages || []), ...discovered].sort((a,b)=>{
+    const ar = !!(a.auth === 'required' || a.requiresAuth === true)
+    const br = !!(b.auth === 'required' || b.requiresAuth === true)
+    return (ar === br) ? 0 : (ar ? 1 : -1)
+  })
+  
+  // runtime.onAuthFailure: skip (default) leaves private pages out, flag measures
+  // them anyway with authState 'failed' so they can be filtered from the history
+  const onAuthFailure = cfg.runtime?.onAuthFailure || 'skip'
+  let authState = null
+  for (const p of _pagesOrdered) {
+    const needsAuth = (p.auth === 'required' || p.requiresAuth === true)
+    const verdict = await env.politeness.check(context, p.url, p)
+    if (!verdict.allowed) {
+      measured.push({ skipped: true, target, p, reason: verdict.reason, detail: verdict.detail })
+      continue
+    }
+    if (env.politeness.exhausted()) {
+      measured.push({ skipped: true, target, p, reason: 'budget', detail: `${env.politeness.spent} requests` })
+      continue
+    }
+    if (env.dryRun) {
+      measured.push({ dryRun: true, target, p, needsAuth, profiles: profilesForPage(p, target, cfg) })
+      continue
+    }
+    if (needsAuth && authState === null) {
+      try { 
+        await context.clearCookies() 
+      } catch {}
+      const ok = await ensureSession(context, page, productLoginCfg, persistSession, authDir, target.product)
+      authState = ok ? 'authenticated' : 'failed'
+      if (!ok) console.error(`[${target.product}] Login failed: private pages ${onAuthFailure === 'flag' ? 'flagged (authState=failed)' : 'skipped'}`)
+    }
+    const pageAuthState = needsAuth ? authState : 'public'
+    if (pageAuthState === 'failed' && onAuthFailure !== 'flag') {
+      measured.push({ skipped: true, target, p, reason: 'auth-failed' })
+      continue
+    }
+    // A failing page is reported as skipped; the pages already measured are kept
+    for (const profileName of profilesForPage(p, target, cfg)) {
+      try {
+        measured.push(await measurePage(page, target, p, env, profileName, pageAuthState))
+      } catch (e) {
+        measured.push({ skipped: true, target, p, reason: 'error', detail: String(e?.message || e).split('\n')[0] })
+      }
+    }
+  }
+  return measured
+}
+
 async function run() {
   const args = process.argv.slice(2)
   const cfgPath = args.includes('--config') ? args[args.indexOf('--config') + 1] : path.join(__dirname, '..', 'config.yml')
   const outDir = args.includes('--out') ? args[args.indexOf('--out') + 1] : path.join(__dirname, '..', 'out')
   const persistSession = args.includes('--persist-session')
+  // --dry-run: discovery, robots.txt and budget checks only; prints the pages that would be measured
+  const dryRun = args.includes('--dry-run')
   const compareLatestFor = args.includes('--compare-latest') ? (args[args.indexOf('--compare-latest') + 1] || 'all') : null
+  // --profile <name>: overlay from the config's top-level profiles: section
+  const configProfile = args.includes('--profile') ? args[args.indexOf('--profile') + 1] : null
+
+  // --validate-config: report every error/warning of the config and exit (non-zero on errors)
+  if (args.includes('--validate-config')) {
+    const { issues } = resolveConfig(cfgPath, { profile: configProfile })
+    issues.forEach(i => console.log(formatIssue(i, cfgPath)))
+    const errors = issues.filter(i => i.level === 'error').length
+    console.log(`[config] ${cfgPath}: ${errors} error(s), ${issues.length - errors} warning(s)`)
+    process.exit(errors ? 1 : 0)
+  }
 
   ensureDir(outDir)
-  const cfg = loadConfig(cfgPath)
+  const resolved = resolveConfig(cfgPath, { profile: configProfile })
+  assertValidConfig(resolved.issues, cfgPath)
+  const cfg = resolved.config
+
+  // Keep the resolved (redacted) config of each run, so results can be reproduced
+  const configDir = path.join(outDir, 'config')
+  ensureDir(configDir)
+  const configInfo = {
+    profile: configProfile || null,
+    files: resolved.files.map(f => path.relative(process.cwd(), f)),
+    hash: configHash(cfg),
+    resolvedPath: path.join(configDir, `${nowIso().replace(/[:.]/g, '-')}${configProfile ? '_' + safeName(configProfile) : ''}_resolved.yml`)
+  }
+  fs.writeFileSync(configInfo.resolvedPath, `# profile: ${configInfo.profile || '(none)'}\n# files: ${configInfo.files.join(', ')}\n# hash: ${configInfo.hash}\n` + yaml.stringify(redactConfig(cfg)))
+  console.log(`[config] ${configInfo.files.join(' + ')}${configProfile ? ` | profile ${configProfile}` : ''} | hash ${configInfo.hash}`)
 
   const pagesDir = path.join(outDir, 'pages')
   const logsDir = path.join(outDir, 'logs')
@@ -70,185 +508,175 @@ async function run() {
   const historyPath = path.join(outDir, 'history.jsonl')
   const csvPath = path.join(outDir, 'history.csv')
 
-  // Persistent user profile
-  const userDataDir = cfg.runtime?.userDataDir || path.join(__dirname, '..', 'pw-profile')
-  const { context, page } = await createBrowserContext(cfg, userDataDir)
+  // Fail fast on unknown emulation profiles rather than in the middle of a run
+  for (const target of (cfg.targets || [])) {
+    for (const p of (target.pages || [])) profilesForPage(p, target, cfg).forEach(name => resolveProfile(name, cfg))
+    if (target.discover) profilesForPage(target.discover, target, cfg).forEach(name => resolveProfile(name, cfg))
+  }
+  for (const journey of (cfg.journeys || [])) resolveProfile(journey?.profile, cfg)
+  // Page views exported from the analytics tool (read now, not after the crawl)
+  const trafficViews = cfg.traffic?.csv ? loadTrafficCsv(cfg.traffic.csv) : new Map()
+  if (trafficViews.size) console.log(`[traffic] ${trafficViews.size} row(s) from ${cfg.traffic.csv}`)
 
   const productTotals = new Map()
+  const politeness = createPoliteness(cfg)
+  const env = { cfg, outDir, pagesDir, logsDir, authDir, persistSession, historyPath, csvPath, productTotals, politeness, dryRun }
+
+  // Sequential runs share the persistent profile; runtime.concurrency > 1 gives
+  // each target its own isolated context in a worker pool
+  const concurrency = Math.max(1, parseInt(cfg.runtime?.concurrency, 10) || 1)
+  let browser = null
+  let shared = null
+  if (concurrency > 1) {
+    browser = await launchBrowser(cfg)
+    console.log(`[pool] ${concurrency} parallel contexts`)
+  } else {
+    const userDataDir = cfg.runtime?.userDataDir || path.join(__dirname, '..', 'pw-profile')
+    shared = await createBrowserContext(cfg, userDataDir)
+  }
 
-  for (const target of (cfg.targets || [])) {
-    try { 
-      await context.clearCookies() 
-    } catch {}
-
-    // Per-product auth: run public pages first, then login and run private pages
-    const productLoginCfg = target.login || cfg.login
-    // Sort: public (no auth) first, then auth-required
-    const _pagesOrdered = [...(target.pages || [])].sort((a,b)=>{
-      const ar = !!(a.auth === 'required' || a.requiresAuth === true)
-      const br = !!(b.auth === 'required' || b.requiresAuth === true)
-      return (ar === br) ? 0 : (ar ? 1 : -1)
-    })
-    
-    let _isLoggedIn = false
-    for (const p of _pagesOrdered) {
-      const needsAuth = (p.auth === 'required' || p.requiresAuth === true)
-      if (needsAuth && !_isLoggedIn) {
-        try { 
-          await context.clearCookies() 
-        } catch {}
-        await performLogin(context, page, productLoginCfg, persistSession, authDir, target.product)
-        _isLoggedIn = true
-      }
+  async function withContext(fn) {
+    if (shared) return fn(shared.context, shared.page)
+    const { context, page } = await createIsolatedContext(browser, cfg)
+    try {
+      return await fn(context, page)
+    } finally {
+      await closeBrowserContext(context)
+    }
+  }
 
-      const ts = nowIso().replace(/[:.]/g, '-')
-      const baseName = `${safeName(target.product)}_${safeName(p.name)}_${ts}`
+  // Results are persisted in config order, whatever order the workers finish in
+  const emit = createOrderedEmitter(measuredPages => measuredPages.forEach(m => persistItem(m, env)))
+  const targets = cfg.targets || []
+  await runPool(targets, concurrency, async (target, i) => {
+    let measuredPages = []
+    try {
+      measuredPages = await withContext((context, page) => crawlTarget(target, context, page, env))
+    } catch (e) {
+      console.error(`[${target.product}] crawl failed:`, e)
+    }
+    emit(i, measuredPages)
+  })
 
-      // Crawl the page
-      const crawlResult = await crawlPage(page, p, cfg)
-      const { responses, statusCounts, protoCounts, jsErrors, domInfo, net } = crawlResult
+  if (dryRun) {
+    for (const journey of (cfg.journeys || [])) {
+      console.log(`[dry-run] journey ${journey?.name || '(sans nom)'}: ${(journey?.steps || []).map(s => s.url || s.name).join(' -> ')}`)
+    }
+    console.log('[dry-run] Nothing measured, no report written')
+    if (shared) await closeBrowserContext(shared.context)
+    if (browser) await closeBrowser(browser)
+    return
+  }
 
-      // Save page HTML
+  // Multi-step user journeys (one page driven through ordered steps)
+  for (const journey of (cfg.journeys || [])) {
+    if (!journey || !Array.isArray(journey.steps) || !journey.steps.length) {
+      console.warn(`[journey] ${journey?.name || '(sans nom)'}: no steps, skipped`)
+      continue
+    }
+    const product = journey.product || 'Parcours'
+    const target = (cfg.targets || []).find(t => t.product === product)
+    let authState = 'public'
+    const journeyRun = await withContext(async (context, page) => {
       try {
-        const html = await page.content()
-        fs.writeFileSync(path.join(pagesDir, `${baseName}.html`), html)
+        await context.clearCookies()
       } catch {}
-
-      // Calculate metrics
-      const metrics = calculateMetrics(responses, domInfo, net, statusCounts, cfg)
-
-      // Calculate environmental impact
-      const impacts = estimateImpactsFromTransfer(net.transferBytes, {
-        kWhPerGB: cfg?.impact?.kWhPerGB,
-        grid_g_per_kWh: cfg?.impact?.gridIntensity_g_per_kWh,
-        water_L_per_kWh: cfg?.impact?.waterIntensity_L_per_kWh
-      })
-
-      // Calculate KPI with environmental impact
-      const kpi = computeCompositeKpi(metrics, cfg.kpi || {}, impacts)
-
-      const meta = {
-        timestamp: nowIso(),
-        product: target.product,
-        pageName: p.name,
-        url: p.url
+      await resetAuthStrategy(context)
+      if (journey.auth === 'required' || journey.requiresAuth === true) {
+        const ok = await ensureSession(context, page, journey.login || target?.login || cfg.login, persistSession, authDir, product)
+        authState = ok ? 'authenticated' : 'failed'
+        if (!ok && (cfg.runtime?.onAuthFailure || 'skip') !== 'flag') return null
       }
-
-      const result = {
-        ...meta,
+      await applyEmulation(page, resolveProfile(journey.profile, cfg))
+      return crawlJourney(page, journey, cfg)
+    })
+    if (!journeyRun) {
+      console.error(`[journey] ${journey.name}: login failed, skipped`)
+      getProductAgg(productTotals, product).skipped.push({ name: `Parcours ${journey.name}`, url: journey.steps[0]?.url, reason: 'auth-failed' })
+      continue
+    }
+    if (!journeyRun.steps.length) continue
+    const timestamp = nowIso()
+
+    const toRecord = (captured, recordType, extra) => {
+      const { metrics, impacts, kpi } = scoreCapture(captured, cfg)
+      const record = {
+        timestamp,
+        product,
+        journeyName: journey.name,
+        profile: journey.profile || 'default',
+        authState,
+        recordType,
+        ...extra,
         kpiScore: kpi.score,
         kpiGrade: kpi.grade,
+        ...ecoIndexFields(metrics),
         ...metrics,
-        // Protocol counts
-        http1Count: protoCounts['http/1.1'],
-        h2Count: protoCounts['h2'],
-        h3Count: protoCounts['h3'],
-        httpOtherCount: protoCounts['other'],
-        jsErrorCount: jsErrors.length,
-        // Impact
+        jsErrorCount: captured.jsErrors.length,
         co2_g: impacts.co2_g,
         water_cl: impacts.water_cl,
         energy_kWh: impacts.energy_kWh,
         dataGB: impacts.dataGB,
-        impactModel: impacts.model
+        impactModel: impacts.model,
+        impactGrid: impacts.params.grid,
+        impactParams: impacts.params,
+        thirdPartyCo2Pct: impacts.attribution.thirdPartyCo2Pct
       }
+      return { record, kpi, impacts }
+    }
 
-      // Persist history & CSV
-      appendToHistory(historyPath, result)
-      appendToCsv(csvPath, result)
-
-      // Generate detailed report
-      generateDetailedReport(outDir, meta, result, kpi, domInfo, responses, cfg, impacts)
-
-      // Persist per-page network logs
-      fs.writeFileSync(path.join(logsDir, `${baseName}_responses.json`), JSON.stringify({
-        meta,
-        responses,
-        statusCounts,
-        protoCounts
-      }, null, 2))
-      
-      if (jsErrors.length) {
-        fs.writeFileSync(path.join(logsDir, `${baseName}_jserrors.json`), JSON.stringify({
-          meta,
-          jsErrors
-        }, null, 2))
-      }
-
-      // Console summary
-      console.log(`\n[${target.product}] ${p.name}`)
-      console.log(`  KPI: ${result.kpiGrade} (${result.kpiScore})` + (kpi.ceilingApplied < 100 ? ` | Ceiling: ${kpi.ceilingApplied}` : ''))
-
-      // Per-page weight
-      const pageWeight = (typeof p.weight === 'number' ? p.weight :
-        ((cfg?.kpi?.page_weights && ((cfg.kpi.page_weights[target.product] && cfg.kpi.page_weights[target.product][p.name]) ?? cfg.kpi.page_weights[p.name])) ?? 1))
-      
-      // Aggregate product-level weighted score
-      const keyProd = target.product
-      if (!productTotals.has(keyProd)) {
-        productTotals.set(keyProd, {
-          sumWeightedScore: 0,
-          sumWeights: 0,
-          pages: []
-        })
-      }
-      const agg = productTotals.get(keyProd)
-      agg.sumWeightedScore += (kpi.score || 0) * pageWeight
-      agg.sumWeights += pageWeight
-      
-      agg.pages.push({
-        name: p.name,
-        url: p.url,
-        score: kpi.score || 0,
-        grade: kpi.grade || '?',
-        weight: pageWeight,
-        metrics: {
-          requests: result.requests, 
-          transferKB: result.transferKB, 
-          domSize: result.domSize, 
-          uniqueDomains: result.uniqueDomains,
-          compressedPct: result.compressedPct, 
-          minifiedPct: result.minifiedPct, 
-          inlineStyles: result.inlineStyles, 
-          inlineScripts: result.inlineScripts,
-          cssFiles: result.cssFiles, 
-          jsFiles: result.jsFiles, 
-          resizedImages: result.resizedImages, 
-          hiddenDownloadedImages: result.hiddenDownloadedImages,
-          belowFoldNoLazy: (domInfo.belowFoldNoLazyImages||0)+(domInfo.belowFoldNoLazyIframes||0),
-          staticNoCache: result.staticNoCache, 
-          staticShortCache: result.staticShortCache, 
-          staticWithCookies: result.staticWithCookies,
-          imageLegacyPct: result.imageLegacyPct, 
-          wastedImagePct: result.wastedImagePct, 
-          errors: result.errors, 
-          redirects: result.redirects,
-          cookieHeaderAvg: result.cookieHeaderAvg, 
-          fontsExternal: result.fontsExternal, 
-          hstsMissing: result.hstsMissing,
-          // Environmental impact metrics
-          co2_g: result.co2_g,
-          energy_kWh: result.energy_kWh,
-          water_cl: result.water_cl,
-          dataGB: result.dataGB
-        },
-        norms: kpi.norms || null,
-        breakdown: kpi.breakdown || null,
-        effW: kpi.effW || null,
-        ceilingApplied: kpi.ceilingApplied || 100,
-        scale: kpi.scale || 1
-      })
-
-      console.log(`  DOM: ${result.domSize} | Requests: ${result.requests} | Transfer: ${prettyBytes(net.transferBytes)} | Decoded: ${prettyBytes(net.decodedBytes)} | Domains: ${result.uniqueDomains}`)
-      console.log(`  Status 2xx/3xx/4xx/5xx: ${statusCounts['2xx']}/${statusCounts['3xx']}/${statusCounts['4xx']}/${statusCounts['5xx']} | Redirects: ${result.redirects}`)
-      console.log(`  HTTP protocols: h1=${result.http1Count} h2=${result.h2Count} h3=${result.h3Count} other=${result.httpOtherCount} | JS errors: ${result.jsErrorCount}`)
-      console.log(`  Lazy missing img/iframe: ${domInfo.belowFoldNoLazyImages}/${domInfo.belowFoldNoLazyIframes} | Responsive img: ${result.imageResponsivePct}%`)
-      console.log(`  Legacy vs optimized images: ${result.imageLegacyCount}/${result.imageOptimizedCount} | Wasted ≈ ${result.wastedImageKB} KB (${result.wastedImagePct}%)`)
-      console.log(`  Fonts: ${result.fontFileCount} files, ${prettyBytes(result.fontBytes)} | HSTS missing: ${result.hstsMissing}`)
-      console.log(`  Static no-cache/short: ${result.staticNoCache}/${result.staticShortCache} | Static with cookies (domains): ${result.staticWithCookies} (${result.staticCookieDomains})`)
-      console.log(`  Page size: ${result.pageKB_transfer} KB (${result.pageKB_decoded} KB décodé) | Compression (compressibles): ${result.compressedPct}%`)
-      console.log(`  Impact (model=${impacts.model}): CO₂≈${result.co2_g} g | Eau≈${result.water_cl} cL | Énergie≈${result.energy_kWh} kWh | Données≈${result.dataGB} GB`)
+    const stepRecords = journeyRun.steps.map((step, i) => toRecord(step, 'journey-step', {
+      stepIndex: i + 1,
+      stepName: step.name,
+      url: step.url,
+      stepError: step.error
+    }))
+    const total = toRecord(journeyRun.cumulative, 'journey', {
+      stepCount: journeyRun.steps.length,
+      completed: journeyRun.completed
+    })
+    total.record.steps = stepRecords.map(s => ({
+      name: s.record.stepName,
+      kpiScore: s.record.kpiScore,
+      kpiGrade: s.record.kpiGrade,
+      ecoIndex: s.record.ecoIndex,
+      ecoIndexGrade: s.record.ecoIndexGrade,
+      requests: s.record.requests,
+      transferKB: s.record.transferKB,
+      co2_g: s.record.co2_g
+    }))
+
+    for (const s of stepRecords) appendToHistory(historyPath, s.record)
+    appendToHistory(historyPath, total.record)
+    generateJourneyReport(outDir, journey, total, stepRecords, cfg)
+
+    console.log(`\n[${product}] Parcours: ${journey.name}${journeyRun.completed ? '' : ' (incomplet)'}`)
+    for (const s of stepRecords) {
+      console.log(`  ${s.record.stepIndex}. ${s.record.stepName}: ${s.record.kpiGrade} (${s.record.kpiScore}) | Requests: ${s.record.requests} | Transfer: ${s.record.transferKB} KB | CO₂≈${s.record.co2_g} g`)
     }
+    console.log(`  Cumul: ${total.record.kpiGrade} (${total.record.kpiScore}) | Requests: ${total.record.requests} | Transfer: ${total.record.transferKB} KB | CO₂≈${total.record.co2_g} g`)
+
+    getProductAgg(productTotals, product).journeys.push({
+      name: journey.name,
+      completed: journeyRun.completed,
+      score: total.kpi.score || 0,
+      grade: total.kpi.grade || '?',
+      ecoIndex: total.record.ecoIndex,
+      ecoIndexGrade: total.record.ecoIndexGrade,
+      impactModel: `${total.impacts.model}/${total.impacts.params.grid}`,
+      metrics: snapshotMetrics(total.record),
+      breakdown: total.kpi.breakdown || null,
+      steps: stepRecords.map(s => ({
+        name: s.record.stepName,
+        url: s.record.url,
+        score: s.kpi.score || 0,
+        grade: s.kpi.grade || '?',
+        ecoIndex: s.record.ecoIndex,
+        ecoIndexGrade: s.record.ecoIndexGrade,
+        metrics: snapshotMetrics(s.record),
+        breakdown: s.kpi.breakdown || null
+      }))
+    })
   }
 
   // Product-level summary
@@ -257,7 +685,17 @@ async function run() {
     const score100 = totalW > 0 ? Math.round(agg.sumWeightedScore / totalW) : 0
     const grade = gradeAE(score100)
     const score5 = (score100 / 20).toFixed(1)
-    console.log(`[${prod}] Global: ${grade} | ${score100}/100 | ${score5}/5`)
+    // EcoIndex of the product: plain mean over the measured pages (not weighted)
+    const ecoPages = (agg.pages || []).filter(p => typeof p.ecoIndex === 'number')
+    const ecoIndex = ecoPages.length ? Math.round(ecoPages.reduce((a, p) => a + p.ecoIndex, 0) / ecoPages.length) : null
+    // Third-party share of the CO2 of one visit of every page
+    const pagesCo2 = (agg.pages || []).reduce((a, p) => a + (p.metrics?.co2_g || 0), 0)
+    const thirdCo2 = (agg.pages || []).reduce((a, p) => a + (p.metrics?.co2_g || 0) * (p.metrics?.thirdPartyCo2Pct || 0) / 100, 0)
+    const thirdPartyCo2Pct = pagesCo2 > 0 ? Math.round(thirdCo2 * 100 / pagesCo2) : null
+    // Yearly impacts from the monthly page views (targets[].monthlyViews, traffic.csv)
+    const annual = projectProduct(prod, agg.pages || [], cfg, trafficViews)
+    console.log(`[${prod}] Global: ${grade} | ${score100}/100 | ${score5}/5` + (ecoIndex != null ? ` | EcoIndex: ${ecoIndexGrade(ecoIndex)} (${ecoIndex})` : '') +
+      (annual ? ` | ${annual.total.co2_kg} kgCO2e/year` : ''))
 
     // Write global report
     const ts = nowIso().replace(/[:.]/g, '-')
@@ -272,20 +710,80 @@ async function run() {
 - **Score**: ${score100}/100
 - **Grade**: ${grade}
 - **Score (/5)**: ${score5}
-
+${ecoIndex != null ? `- **EcoIndex (moyenne des pages)**: ${ecoIndex}/100 — ${ecoIndexGrade(ecoIndex)}\n` : ''}${thirdPartyCo2Pct != null ? `- **Tiers**: les domaines tiers représentent ${thirdPartyCo2Pct}% du CO₂ des pages mesurées\n` : ''}
 ## Détail par page (pondéré)
-| Page | Poids | Score (/100) | Grade |
-|---|---:|---:|:--|
+| Page | Profil | Poids | Score (/100) | Grade | EcoIndex |
+|---|:--|---:|---:|:--|:--|
 `
 
     const lines = (agg.pages || []).map(p => {
       const w = (typeof p.weight === 'number') ? p.weight : 1
       const s = Math.round(p.score || 0)
       const g = p.grade || '?'
-      const page = p.name || '(sans nom)'
-      return `| ${page} | ${w} | ${s} | ${g} |`
+      const page = (p.name || '(sans nom)') + (p.authState === 'failed' ? ' ⚠️ login échoué' : '')
+      const eco = typeof p.ecoIndex === 'number' ? `${Math.round(p.ecoIndex)} (${p.ecoIndexGrade})` : ''
+      return `| ${page} | ${p.profile || 'default'} | ${w} | ${s} | ${g} | ${eco} |`
     }).join('\n')
 
+    const journeyLines = (agg.journeys || []).length ? `
+
+## Parcours utilisateur
+| Parcours | Étapes | Score cumulé (/100) | Grade | Transfert (KB) | CO₂ (g) |
+|---|---:|---:|:--|---:|---:|
+` + agg.journeys.map(j => `| ${j.name}${j.completed ? '' : ' ⚠️ incomplet'} | ${j.steps.length} | ${Math.round(j.score)} | ${j.grade} | ${j.metrics.transferKB} | ${j.metrics.co2_g} |`).join('\n') : ''
+
+    // Discovery mode: product-wide distribution and the worst pages first
+    let coverage = null
+    let coverageLines = ''
+    if (agg.discovery) {
+      coverage = { ...coverageStats(agg.pages || []), discovery: agg.discovery }
+      const worstN = cfg.targets?.find(t => t.product === prod)?.discover?.worstPages ?? 10
+      const worst = [...(agg.pages || [])].sort((a, b) => (a.score || 0) - (b.score || 0)).slice(0, worstN)
+      const d = agg.discovery
+      coverageLines = `
+
+## Couverture (découverte)
+- **URLs trouvées**: ${d.found} (hors origine: ${d.offOrigin}, filtrées: ${d.filtered}, même gabarit: ${d.duplicateTemplates}, au-delà de maxPages: ${d.truncated})
+- **Pages mesurées**: ${coverage.pages} (dont ${(agg.pages || []).filter(p => p.discovered).length} découvertes)
+- **Score médian**: ${coverage.scoreMedian}/100 | **10e centile**: ${coverage.scoreP10}/100
+- **Pages notées D ou moins**: ${coverage.poorPct}%
+- **Répartition des grades**: ${Object.entries(coverage.gradeCounts).sort().map(([g, n]) => `${g}: ${n}`).join(' · ')}
+- **Poids transféré**: médiane ${coverage.transferKB.median} KB, p90 ${coverage.transferKB.p90} KB, max ${coverage.transferKB.max} KB (total ${coverage.totalTransferKB} KB)
+- **CO₂ cumulé (une visite par page)**: ${coverage.totalCo2_g} g
+
+## Les ${worst.length} pages les moins bien notées
+| Page | Score (/100) | Grade | Transfert (KB) | Requêtes | DOM |
+|---|---:|:--|---:|---:|---:|
+` + worst.map(p => `| [${p.name}](${p.url}) | ${Math.round(p.score || 0)} | ${p.grade || '?'} | ${p.metrics?.transferKB ?? ''} | ${p.metrics?.requests ?? ''} | ${p.metrics?.domSize ?? ''} |`).join('\n')
+    }
+
+    const annualLines = annual ? `
+
+## Projection annuelle
+Sur la base de ${annual.monthlyViews} vues par mois${annual.cacheHitRatio ? ` dont ${Math.round(annual.cacheHitRatio * 100)}% servies depuis le cache` : ''} :
+- **Énergie**: ${annual.total.energy_kWh} kWh/an (≈ ${annual.equivalences.households} foyer(s) français, ${annual.equivalences.smartphoneCharges} recharges de smartphone)
+- **CO₂**: ${annual.total.co2_kg} kg/an (≈ ${annual.equivalences.carKm} km en voiture)
+- **Eau**: ${annual.total.water_L} L/an (≈ ${annual.equivalences.showers} douches)
+- **Données**: ${annual.total.dataGB} GB/an
+
+| Page | Vues/mois | Énergie (kWh/an) | CO₂ (kg/an) | Eau (L/an) | Données (GB/an) |
+|---|---:|---:|---:|---:|---:|
+` + annual.pages.map(p => `| ${p.name} | ${p.monthlyViews} | ${p.yearly.energy_kWh} | ${p.yearly.co2_kg} | ${p.yearly.water_L} | ${p.yearly.dataGB} |`).join('\n') +
+      (annual.unprojected.length ? `\n\n_Sans trafic renseigné, non projetées : ${annual.unprojected.join(', ')}._` : '') : ''
+
+    const reasons = {
+      'auth-failed': 'échec de l\'authentification',
+      robots: 'interdite par robots.txt',
+      budget: 'budget de requêtes épuisé (politeness.maxRequests)',
+      error: 'erreur pendant la mesure'
+    }
+    const skippedLines = (agg.skipped || []).length ? `
+
+## Pages non mesurées
+| Page | URL | Raison |
+|---|---|---|
+` + agg.skipped.map(p => `| ${p.name} | ${p.url || ''} | ${reasons[p.reason] || p.reason}${p.detail ? ` (${p.detail})` : ''} |`).join('\n') : ''
+
     const footer = `
 
 ### Méthode
@@ -298,19 +796,28 @@ La note produit est la moyenne pondérée des scores des pages :
 `
 
     try {
-      fs.writeFileSync(reportPath, header + lines + footer, 'utf8')
+      fs.writeFileSync(reportPath, header + lines + annualLines + coverageLines + journeyLines + skippedLines + footer, 'utf8')
       console.log(`  Global report: ${reportPath}`)
       
       // Write per-product JSON snapshot for diffing
       const snapshot = {
         product: prod,
         date: nowIso(),
+        config: configInfo,
         score100: score100,
         grade: grade,
         score5: score5,
+        ecoIndex,
+        ecoIndexGrade: ecoIndex != null ? ecoIndexGrade(ecoIndex) : null,
+        thirdPartyCo2Pct,
         weights: (cfg && cfg.kpi && cfg.kpi.weights) ? cfg.kpi.weights : null,
         thresholds: (cfg && cfg.kpi && cfg.kpi.thresholds) ? cfg.kpi.thresholds : null,
-        pages: agg.pages
+        impactModel: agg.pages?.[0]?.impactModel || agg.journeys?.[0]?.impactModel || null,
+        pages: agg.pages,
+        journeys: agg.journeys,
+        skipped: agg.skipped,
+        coverage,
+        annual
       }
       const jsonPath = path.join(reportsDir, `${safeName(prod)}_RUN_${ts}.json`)
       fs.writeFileSync(jsonPath, JSON.stringify(snapshot, null, 2), 'utf8')
@@ -321,12 +828,13 @@ La note produit est la moyenne pondérée des scores des pages :
   }
 
   // Compare latest reports if requested
-  compareLatestReports(outDir, productTotals, compareLatestFor)
+  compareLatestReports(outDir, productTotals, compareLatestFor, { varianceFactor: cfg.runtime?.varianceFactor })
 
-  await closeBrowserContext(context)
+  if (shared) await closeBrowserContext(shared.context)
+  if (browser) await closeBrowser(browser)
 }
 
 run().catch(e => {
-  console.error(e)
+  console.error(e instanceof ConfigError ? `[config] ${e.message}` : e)
   process.exit(1)
 })
\ No newline at end of file
@@ -21,10 +21,24 @@ export function appendToHistory(historyPath, result) {
   fs.appendFileSync(historyPath, JSON.stringify(result) + '\n')
 }
 
+// Nested values (e.g. run spread) only go to history.jsonl. Records do not all
+// carry the same keys (runtime, vitals, coverage...): each row is written against
+// the file's header, and keys it lacks are appended as new columns (older rows padded)
 export function appendToCsv(csvPath, result) {
-  const headers = Object.keys(result)
-  if (!fs.existsSync(csvPath) || fs.readFileSync(csvPath, 'utf8').trim() === '') {
-    fs.writeFileSync(csvPath, headers.join(',') + '\n')
+  const keys = Object.keys(result).filter(k => result[k] === null || typeof result[k] !== 'object')
+  const content = fs.existsSync(csvPath) ? fs.readFileSync(csvPath, 'utf8') : ''
+  if (content.trim() === '') {
+    fs.writeFileSync(csvPath, keys.join(',') + '\n' + toCsvRow(result, keys) + '\n')
+    return
+  }
+  const lines = content.split('\n')
+  const headers = lines[0].split(',')
+  const added = keys.filter(k => !headers.includes(k))
+  if (added.length) {
+    const pad = ',""'.repeat(added.length)
+    headers.push(...added)
+    const rows = lines.slice(1).map(l => l === '' ? l : l + pad)
+    fs.writeFileSync(csvPath, [headers.join(','), ...rows].join('\n'))
   }
   fs.appendFileSync(csvPath, toCsvRow(result, headers) + '\n')
-}
\ No newline at end of file
+}
@@ -16,7 +16,8 @@
 
 import fs from 'fs'
 import path from 'path'
-import { safeName } from '../utils/file-helpers.js'
+import { safeName, round2 } from '../utils/file-helpers.js'
+import { perViewImpacts, annualise } from '../kpi/projection.js'
 
 function _nextArg(args, flag) {
   const i = args.indexOf(flag)
@@ -37,10 +38,16 @@ function _gradeArrow(a,b) {
   return a===b ? a : `${a} → ${b}` 
 }
 
+// Pages measured under an emulation profile are keyed (and labelled) "name @ profile"
+function _pageLabel(pg) {
+  const name = pg && (pg.name || pg.url || '')
+  return (pg && pg.profile && pg.profile !== 'default') ? `${name} @ ${pg.profile}` : name
+}
+
 function _mapPagesBy(pages) {
   const map = new Map()
   ;(pages||[]).forEach(pg => {
-    const k = (pg && (pg.name || pg.url || '')).toLowerCase()
+    const k = (_pageLabel(pg) || '').toLowerCase()
     if (k) map.set(k, pg)
   })
   return map
@@ -48,10 +55,11 @@ function _mapPagesBy(pages) {
 
 function _metricDeltas(baseM, headM) {
   const keys = [
-    'requests','transferKB','domSize','uniqueDomains','compressedPct','minifiedPct',
+    'requests','transferKB','domSize','uniqueDomains','thirdPartyBytesPct','compressedPct','minifiedPct',
     'inlineStyles','inlineScripts','cssFiles','jsFiles','resizedImages','hiddenDownloadedImages',
     'belowFoldNoLazy','staticNoCache','staticShortCache','staticWithCookies',
     'imageLegacyPct','wastedImagePct','errors','redirects','cookieHeaderAvg',
+    'cpuTimeMs','longTasks','jsHeapMB','lcpMs','tbtMs','unusedJsPct','unusedCssPct',
     'co2_g','energy_kWh','water_cl','dataGB' // Add environmental metrics
   ]
   const out = {}
@@ -73,13 +81,28 @@ function _topNChanges(deltaObj, n=5, dir='neg') {
   return dir==='neg' ? neg : pos
 }
 
+// Keeps only the deltas larger than varianceFactor × the run-to-run stddev
+// (the larger of base and head) when both snapshots carry a spread
+function _beyondVariance(d, baseSpread, headSpread, varianceFactor) {
+  const kept = []
+  const ignored = []
+  for (const [k, v] of d) {
+    const sd = Math.max(baseSpread?.[k]?.stddev || 0, headSpread?.[k]?.stddev || 0)
+    if (sd > 0 && Math.abs(v || 0) <= varianceFactor * sd) ignored.push([k, v])
+    else kept.push([k, v])
+  }
+  return { kept, ignored }
+}
+
 function _noteworthyMetrics(d, thresholds) {
   const thr = Object.assign({
-    requests: 5, transferKB: 250, domSize: 200, uniqueDomains: 2,
+    requests: 5, transferKB: 250, domSize: 200, uniqueDomains: 2, thirdPartyBytesPct: 5,
     compressedPct: 5, minifiedPct: 5,
     staticNoCache: 2, staticShortCache: 2, staticWithCookies: 1,
     imageLegacyPct: 5, wastedImagePct: 5,
     errors: 1, redirects: 1,
+    cpuTimeMs: 200, longTasks: 2, jsHeapMB: 5, lcpMs: 500, tbtMs: 100,
+    unusedJsPct: 5, unusedCssPct: 5,
     // Environmental impact thresholds for diff
     co2_g: 0.1, energy_kWh: 0.0001, water_cl: 0.01, dataGB: 0.0001
   }, thresholds||{})
@@ -88,12 +111,42 @@ function _noteworthyMetrics(d, thresholds) {
     .sort((a,b)=>Math.abs(b[1]) - Math.abs(a[1]))
 }
 
+// Annualised effect of the release: per-view change × head monthly views × 12.
+// Older base snapshots have no projection: their per-view impacts come from the page metrics.
+function _annualDiffMd(base, head) {
+  if (!head.annual?.pages?.length) return ''
+  const basePages = new Map()
+  ;(base.annual?.pages || []).forEach(pg => basePages.set(pg.name, pg.perView))
+  ;(base.pages || []).forEach(pg => {
+    if (!basePages.has(pg.name) && pg.metrics) basePages.set(pg.name, perViewImpacts(pg.metrics, head.annual.cacheHitRatio || 0))
+  })
+  const rows = head.annual.pages.filter(pg => basePages.has(pg.name)).map(pg => {
+    const before = basePages.get(pg.name)
+    const delta = Object.fromEntries(Object.keys(pg.perView).map(k => [k, pg.perView[k] - (before[k] || 0)]))
+    return { name: pg.name, yearly: annualise(delta, pg.monthlyViews) }
+  })
+  if (!rows.length) return ''
+  const total = (k) => round2(rows.reduce((a, r) => a + r.yearly[k], 0))
+  return `## Projection annuelle (Δ à trafic constant)
+- **Énergie**: ${_sign(total('energy_kWh'))} kWh/an
+- **CO₂**: ${_sign(total('co2_kg'))} kg/an
+- **Eau**: ${_sign(total('water_L'))} L/an
+- **Données**: ${_sign(total('dataGB'))} GB/an
+
+| Page | Δ CO₂ (kg/an) | Δ Énergie (kWh/an) | Δ Données (GB/an) |
+|---|---:|---:|---:|
+${rows.map(r => `| ${r.name} | ${_sign(r.yearly.co2_kg)} | ${_sign(r.yearly.energy_kWh)} | ${_sign(r.yearly.dataGB)} |`).join('\n')}
+
+`
+}
+
 function _fileTsFromName(basename) {
   const m = String(basename).match(/_RUN_([0-9\-T]+)\.json$/)
   return m ? m[1] : ''
 }
 
-function _buildDiffMd(product, base, head, baseName, headName) {
+function _buildDiffMd(product, base, head, baseName, headName, opts = {}) {
+  const varianceFactor = typeof opts.varianceFactor === 'number' ? opts.varianceFactor : 2
   const prodDelta = Math.round((head.score100||0) - (base.score100||0))
   const prodGrade = _gradeArrow(base.grade||'?', head.grade||'?')
 
@@ -107,8 +160,9 @@ function _buildDiffMd(product, base, head, baseName, headName) {
 ## Global
 - **Score produit**: ${_pad(base.score100)}/${_pad(head.score100)} (${_sign(prodDelta)})
 - **Grade**: ${prodGrade}
-
+${(base.impactModel && head.impactModel && base.impactModel !== head.impactModel) ? `- ⚠️ **Modèle d'impact**: ${base.impactModel} → ${head.impactModel} (les écarts de CO₂, énergie et eau ne sont pas comparables)\n` : ''}${(typeof base.ecoIndex === 'number' && typeof head.ecoIndex === 'number') ? `- **EcoIndex**: ${_pad(base.ecoIndex)}→${_pad(head.ecoIndex)} (${_sign(Math.round((head.ecoIndex || 0) - (base.ecoIndex || 0)))}) — ${_gradeArrow(base.ecoIndexGrade || '?', head.ecoIndexGrade || '?')}\n` : ''}
 `
+  md += _annualDiffMd(base, head)
   md += `## Pages — résumé
 | Page | Score (base→head) | Δ | Grade (base→head) | Poids (head) |
 |---|---:|---:|:--|---:|
@@ -117,7 +171,7 @@ function _buildDiffMd(product, base, head, baseName, headName) {
   for (const k of keys) {
     const a = mb.get(k)
     const b = mh.get(k)
-    const name = (b && b.name) || (a && a.name) || k
+    const name = (b && _pageLabel(b)) || (a && _pageLabel(a)) || k
     const baseScore = a ? Math.round(a.score||0) : null
     const headScore = b ? Math.round(b.score||0) : null
     const d = (headScore!=null && baseScore!=null) ? (headScore - baseScore) : (headScore!=null ? headScore : (baseScore!=null ? -baseScore : 0))
@@ -139,6 +193,27 @@ function _buildDiffMd(product, base, head, baseName, headName) {
 `
     if (p.a && p.b && typeof p.a.ceilingApplied === 'number' && typeof p.b.ceilingApplied === 'number' && p.a.ceilingApplied !== p.b.ceilingApplied) {
       md += `- **Plafond**: ${p.a.ceilingApplied} → ${p.b.ceilingApplied}
+`
+    }
+    const ruleNames = (x) => (x?.ceilingRules || []).map(r => r.label || r.if)
+    const addedRules = ruleNames(p.b).filter(r => !ruleNames(p.a).includes(r))
+    const removedRules = ruleNames(p.a).filter(r => !ruleNames(p.b).includes(r))
+    if (p.a && p.b && (addedRules.length || removedRules.length)) {
+      md += `- **Règles de plafond**: ${[...addedRules.map(r => `+ ${r}`), ...removedRules.map(r => `− ${r}`)].join(', ')}
+`
+    }
+    if (p.a && p.b && typeof p.a.ecoIndex === 'number' && typeof p.b.ecoIndex === 'number') {
+      md += `- **EcoIndex**: ${Math.round(p.a.ecoIndex)} → ${Math.round(p.b.ecoIndex)} (${_sign(Math.round(p.b.ecoIndex - p.a.ecoIndex))}) — ${_gradeArrow(p.a.ecoIndexGrade, p.b.ecoIndexGrade)}
+`
+    }
+    const normOf = (x) => JSON.stringify(x?.normalization || 'step')
+    if (p.a && p.b && normOf(p.a) !== normOf(p.b)) {
+      md += `- ⚠️ **Normalisation**: ${normOf(p.a)} → ${normOf(p.b)} (une partie de l'écart vient du changement de mode de calcul)
+`
+    }
+    const adjTotal = (x) => (x?.adjustments || []).reduce((t, a) => t + a.points, 0)
+    if (p.a && p.b && (p.a.adjustments || p.b.adjustments) && adjTotal(p.a) !== adjTotal(p.b)) {
+      md += `- **Bonus/malus**: ${_sign(adjTotal(p.a))} → ${_sign(adjTotal(p.b))}
 `
     }
     const baseBreak = (p.a && p.a.breakdown) || {}
@@ -167,7 +242,7 @@ function _buildDiffMd(product, base, head, baseName, headName) {
 `)
     }
     const deltas = _metricDeltas(p.a && p.a.metrics, p.b && p.b.metrics)
-    const noteworthy = _noteworthyMetrics(deltas)
+    const { kept: noteworthy, ignored } = _beyondVariance(_noteworthyMetrics(deltas), p.a && p.a.spread, p.b && p.b.spread, varianceFactor)
     if (noteworthy.length) {
       md += `
 **Changements de métriques notables**
@@ -181,11 +256,67 @@ function _buildDiffMd(product, base, head, baseName, headName) {
 `
       })
     }
+    if (ignored.length) {
+      md += `
+_Dans la variance entre runs (≤ ${varianceFactor}σ), ignorés : ${ignored.map(([k,v]) => `${k} (${_sign(Math.round(v))})`).join(', ')}._
+`
+    }
+  }
+  md += _buildJourneysDiffMd(base.journeys || [], head.journeys || [])
+  return md
+}
+
+function _buildJourneysDiffMd(baseJourneys, headJourneys) {
+  if (!baseJourneys.length && !headJourneys.length) return ''
+  const mb = _mapPagesBy(baseJourneys)
+  const mh = _mapPagesBy(headJourneys)
+  const keys = new Set([...mb.keys(), ...mh.keys()])
+  let md = `
+## Parcours utilisateur
+`
+  for (const k of keys) {
+    const a = mb.get(k)
+    const b = mh.get(k)
+    const name = (b && b.name) || (a && a.name) || k
+    const baseScore = a ? Math.round(a.score||0) : null
+    const headScore = b ? Math.round(b.score||0) : null
+    const d = (headScore!=null && baseScore!=null) ? (headScore - baseScore) : (headScore!=null ? headScore : (baseScore!=null ? -baseScore : 0))
+    md += `
+### ${name}
+- **Score cumulé**: ${_pad(baseScore)} → ${_pad(headScore)} (${_sign(d)})
+- **Grade**: ${_gradeArrow(a ? (a.grade||'?') : '—', b ? (b.grade||'?') : '—')}
+
+| Étape | Score (base→head) | Δ | Transfert KB (base→head) | Requêtes (base→head) | CO₂ g (base→head) |
+|---|---:|---:|---:|---:|---:|
+`
+    // Steps are matched by position, then by name when the order changed
+    const bSteps = (a && a.steps) || []
+    const hSteps = (b && b.steps) || []
+    const n = Math.max(bSteps.length, hSteps.length)
+    for (let i = 0; i < n; i++) {
+      const hs = hSteps[i]
+      const bs = (hs && bSteps.find(s => s.name === hs.name)) || bSteps[i]
+      const stepName = (hs && hs.name) || (bs && bs.name) || `#${i + 1}`
+      const sa = bs ? Math.round(bs.score||0) : null
+      const sb = hs ? Math.round(hs.score||0) : null
+      const sd = (sa!=null && sb!=null) ? sb - sa : 0
+      const m = (s, key) => (s && s.metrics) ? s.metrics[key] : null
+      md += `| ${stepName} | ${_pad(sa)}→${_pad(sb)} | ${_sign(sd)} | ${_pad(m(bs,'transferKB'))}→${_pad(m(hs,'transferKB'))} | ${_pad(m(bs,'requests'))}→${_pad(m(hs,'requests'))} | ${_pad(m(bs,'co2_g'))}→${_pad(m(hs,'co2_g'))} |
+`
+    }
+    const deltas = _metricDeltas(a && a.metrics, b && b.metrics)
+    const noteworthy = _noteworthyMetrics(deltas)
+    if (noteworthy.length) {
+      md += `
+**Changements notables (cumul)**
+${noteworthy.map(([key,v]) => `- ${key}: ${_sign(Math.round(v*100)/100)}`).join('\n')}
+`
+    }
   }
   return md
 }
 
-export function compareLatestReports(outDir, productTotals, compareLatestFor) {
+export function compareLatestReports(outDir, productTotals, compareLatestFor, opts = {}) {
   if (!compareLatestFor) return
 
   const want = String(compareLatestFor).toLowerCase()
@@ -202,7 +333,7 @@ export function compareLatestReports(outDir, productTotals, compareLatestFor) {
       const headName = files[files.length - 1]
       const base = JSON.parse(fs.readFileSync(path.join(reportsDir, baseName), 'utf8'))
       const head = JSON.parse(fs.readFileSync(path.join(reportsDir, headName), 'utf8'))
-      const md = _buildDiffMd(prod, base, head, baseName, headName)
+      const md = _buildDiffMd(prod, base, head, baseName, headName, opts)
       const outName = `DIFF_${safeName(prod)}_${baseName.replace(/\.json$/, '')}_vs_${headName.replace(/\.json$/, '')}.md`
       const outPath = path.join(reportsDir, outName)
       fs.writeFileSync(outPath, md, 'utf8')
@@ -18,9 +18,13 @@ import fs from 'fs'
 import path from 'path'
 import { ensureDir, safeName, nowIso } from '../utils/file-helpers.js'
 import { gradeEnvironmentalImpact, getImpactStatus } from '../kpi/impact-estimator.js'
+import { repeatVisitDetails } from '../kpi/metrics-calculator.js'
+import { sortedThresholds } from '../kpi/normalization.js'
 
+// Same threshold order as the scores (kpi/normalization.js)
 function lowerBetterStatus(value, thr) {
   if (!Array.isArray(thr) || thr.length < 4) return { label: 'ℹ️ N/A', level: 'na' }
+  thr = sortedThresholds(thr)
   if (value <= thr[0]) return { label: '✅ Excellent', level: 'excellent' }
   if (value <= thr[1]) return { label: '✅ Bon', level: 'good' }
   if (value <= thr[2]) return { label: '🟡 À surveiller', level: 'ok' }
@@ -30,6 +34,7 @@ function lowerBetterStatus(value, thr) {
 
 function higherBetterStatus(value, thr) {
   if (!Array.isArray(thr) || thr.length < 4) return { label: 'ℹ️ N/A', level: 'na' }
+  thr = sortedThresholds(thr)
   if (value >= thr[3]) return { label: '✅ Excellent', level: 'excellent' }
   if (value >= thr[2]) return { label: '✅ Bon', level: 'good' }
   if (value >= thr[1]) return { label: '🟡 À surveiller', level: 'ok' }
@@ -142,12 +147,179 @@ function whyAndHow(key) {
     hstsMissing: {
       why: "HSTS renforce la sécurité.",
       how: ["Ajouter Strict-Transport-Security."]
+    },
+    unusedJsPct: {
+      why: "Le JavaScript non exécuté est téléchargé, parsé et compilé pour rien.",
+      how: ["Découper les bundles par route (code splitting, import dynamique).", "Supprimer les dépendances et le code mort (tree shaking).", "Charger les scripts tiers à la demande."]
+    },
+    unusedCssPct: {
+      why: "Les règles CSS inutilisées alourdissent le transfert et le calcul des styles.",
+      how: ["Purger les règles inutilisées en build (PurgeCSS…).", "Découper les feuilles par page ou composant.", "Ne charger que les modules utiles des frameworks CSS."]
     }
   }
   return map[key] || { why: "", how: [] }
 }
 
-export function generateDetailedReport(outDir, meta, result, kpi, domInfo, responses, cfg, impacts) {
+function repeatVisitSection(result, responses, warmResponses) {
+  if (!warmResponses) return ''
+  const details = repeatVisitDetails(responses, warmResponses)
+  let md = `## ♻️ Visite répétée (cache chaud)
+| Indicateur | 1re visite (cache vide) | 2e visite (cache chaud) |
+|---|---:|---:|
+| Requêtes | ${result.requests} | ${result.warmRequests} |
+| Transfert | ${result.transferKB} KB | ${result.warmTransferKB} KB |
+| Réponses servies depuis le cache | ${result.cachedRequests} | ${result.warmCachedRequests} |
+
+**Octets économisés**: ${result.cacheSavedKB} KB — **Efficacité du cache**: ${result.cacheEfficiencyPct}%
+
+| Assets statiques (2e visite) | Nombre |
+|---|---:|
+| Re-téléchargés | ${result.staticRedownloaded} |
+| Revalidés (304) | ${result.staticRevalidated} |
+| Sans cache confirmés (staticNoCache re-demandés) | ${result.staticNoCacheConfirmed} / ${result.staticNoCache} |
+`
+  if (details.noCacheConfirmed.length) {
+    md += `\n**Assets sans cache effectivement re-demandés**\n`
+    md += mdTable(topN(details.noCacheConfirmed, 20).map(r => ({
+      URL: r.url,
+      Statut: r.status,
+      'Transfert (B)': r.transferSize || 0,
+      'Cache-Control': r.responseHeaders?.['cache-control'] || '(absent)'
+    })))
+  }
+  return md + '\n'
+}
+
+// Main-thread cost measured by crawler/runtime-probe.js
+function runtimeSection(result, impacts) {
+  if (typeof result.cpuTimeMs !== 'number') return ''
+  const device = impacts?.segments?.deviceCpu
+  return `## ⚙️ Exécution côté client
+| Indicateur | Valeur |
+|---|---:|
+| Temps CPU du thread principal | ${result.cpuTimeMs} ms |
+| dont scripts | ${result.scriptMs} ms |
+| dont mise en page et styles | ${result.layoutMs} ms |
+| Tâches longues (> 50 ms) | ${result.longTasks} (${result.longTaskMs} ms) |
+| Tas JavaScript | ${result.jsHeapMB} MB |
+${device ? `\nÉnergie du terminal (impact.device, ${impacts.params.cpuWatts} W) : ${device.energy_kWh} kWh, ${device.co2_g} g CO₂, incluse dans l'impact ci-dessus.\n` : ''}
+`
+}
+
+// "Good" / "poor" limits published for the Core Web Vitals (TBT stands in for INP:
+// there is no user interaction to measure)
+const WEB_VITALS = [
+  { key: 'lcpMs', label: 'LCP (Largest Contentful Paint)', unit: ' ms', limits: [2500, 4000] },
+  { key: 'cls', label: 'CLS (Cumulative Layout Shift)', unit: '', limits: [0.1, 0.25] },
+  { key: 'tbtMs', label: 'TBT (Total Blocking Time, proxy INP)', unit: ' ms', limits: [200, 600] },
+  { key: 'fcpMs', label: 'FCP (First Contentful Paint)', unit: ' ms', limits: [1800, 3000] },
+  { key: 'ttfbMs', label: 'TTFB (Time To First Byte)', unit: ' ms', limits: [800, 1800] },
+  { key: 'domContentLoadedMs', label: 'DOMContentLoaded', unit: ' ms' },
+  { key: 'loadMs', label: 'load', unit: ' ms' }
+]
+
+function webVitalsSection(result) {
+  const rows = WEB_VITALS.filter(v => typeof result[v.key] === 'number').map(v => {
+    const value = result[v.key]
+    const status = !v.limits ? '' : value <= v.limits[0] ? '🟢 Bon' : value <= v.limits[1] ? '🟠 À améliorer' : '🔴 Mauvais'
+    return `| ${v.label} | ${value}${v.unit} | ${status} |`
+  })
+  if (!rows.length) return ''
+  return `## ⏱️ Performance web
+| Indicateur | Valeur | Statut |
+|---|---:|:--|
+${rows.join('\n')}
+
+> Mesures de laboratoire (profil d'émulation appliqué), sans interaction utilisateur.
+
+`
+}
+
+// Files with the most unused bytes (runtime.coverage)
+function coverageSection(result, files, top = 10) {
+  if (!files?.length) return ''
+  const rows = topN(files.filter(f => f.unusedBytes > 0), top).map(f => ({
+    Fichier: f.url,
+    Type: f.type.toUpperCase(),
+    'Taille (KB)': Math.round(f.totalBytes / 1024),
+    'Inutilisé (KB)': Math.round(f.unusedBytes / 1024),
+    'Inutilisé (%)': `${Math.round(f.unusedBytes * 100 / f.totalBytes)}%`
+  }))
+  return `## 🧹 Code inutilisé
+- **JavaScript**: ${result.unusedJsKB} KB non exécutés (${result.unusedJsPct}%)
+- **CSS**: ${result.unusedCssKB} KB de règles non utilisées (${result.unusedCssPct}%)
+
+${mdTable(rows)}
+> Couverture mesurée pendant le chargement et le scénario ; du code utilisé plus tard (autres pages, interactions) apparaît ici comme inutilisé. Tailles décodées (avant compression).
+
+`
+}
+
+function spreadSection(result) {
+  const spread = result.spread
+  if (!spread || !Object.keys(spread).length) return ''
+  const keys = ['requests', 'transferKB', 'domSize', 'uniqueDomains', 'errors', 'co2_g']
+    .filter(k => spread[k])
+  const rows = keys.map(k => ({
+    'Métrique': k,
+    'Médiane': spread[k].median,
+    'P90': spread[k].p90,
+    'Min': spread[k].min,
+    'Max': spread[k].max,
+    'Écart-type': spread[k].stddev
+  }))
+  return `## 📈 Variabilité sur ${result.repetitions} runs
+Les métriques et le KPI ci-dessus sont les **médianes** des runs.
+
+${mdTable(rows)}
+`
+}
+
+const CATEGORY_LABELS = {
+  'first-party': 'Première partie',
+  analytics: 'Mesure d\'audience',
+  ads: 'Publicité',
+  social: 'Réseaux sociaux',
+  'tag-manager': 'Gestionnaire de balises',
+  fonts: 'Polices',
+  cdn: 'CDN',
+  video: 'Vidéo',
+  consent: 'Consentement',
+  other: 'Autres tiers'
+}
+
+// First/third-party split of the page's CO2 (kpi/attribution.js)
+function attributionSection(a, topHosts = 8) {
+  const categories = Object.entries(a.byCategory).sort((x, y) => y[1].co2_g - x[1].co2_g)
+  return `
+### Répartition par origine
+**Les tiers représentent ${a.thirdPartyCo2Pct}% du CO₂** (${a.thirdPartyBytesPct}% des octets).
+
+| Catégorie | Requêtes | Octets | CO₂ (g) | Part du CO₂ |
+|---|---:|---:|---:|---:|
+${categories.map(([c, v]) => `| ${CATEGORY_LABELS[c] || c} | ${v.requests} | ${v.bytesPct}% | ${v.co2_g} | ${v.co2Pct}% |`).join('\n')}
+
+| Domaine | Origine | Catégorie | Requêtes | KB | Part du CO₂ |
+|---|:--|:--|---:|---:|---:|
+${a.byHost.slice(0, topHosts).map(h => `| ${h.host} | ${h.party === 'first' ? '1re partie' : 'tiers'} | ${CATEGORY_LABELS[h.category] || h.category} | ${h.requests} | ${Math.round(h.bytes / 1024)} | ${h.co2Pct}% |`).join('\n')}
+`
+}
+
+const SEGMENT_LABELS = { dataCenter: 'Centre de données', network: 'Réseau', device: 'Terminal', transfer: 'Transfert (modèle)', deviceCpu: 'Terminal (CPU mesuré)' }
+
+// One line describing the impact model and its parameters (grid source, ratios...)
+function impactModelDescription(impacts) {
+  const p = impacts.params || {}
+  const parts = [`intensité réseau ${p.grid_g_per_kWh} gCO₂/kWh (${p.grid === 'config' ? 'configurée' : p.grid})`]
+  if (p.kWhPerGB != null) parts.push(`${p.kWhPerGB} kWh/GB`)
+  if (p.returnVisitorRatio != null) parts.push(`${Math.round(p.returnVisitorRatio * 100)}% de visites répétées (${p.returnVisitBytes === 'measured' ? 'poids mesuré en cache chaud' : `rechargement ${Math.round(p.dataReloadRatio * 100)}%`})`)
+  if (p.network) parts.push(`accès ${p.network}`)
+  if (p.greenRatio) parts.push(`${Math.round(p.greenRatio * 100)}% des octets hébergés en énergie renouvelable`)
+  if (p.cpuWatts != null) parts.push(`CPU du terminal ${p.cpuWatts} W`)
+  return parts.join(', ')
+}
+
+export function generateDetailedReport(outDir, meta, result, kpi, domInfo, responses, cfg, impacts, extra = {}) {
   try {
     const kpiCfg = cfg.kpi || {}
     const T = kpiCfg.thresholds || {}
@@ -172,7 +344,9 @@ export function generateDetailedReport(outDir, meta, result, kpi, domInfo, respo
       wastedImagePct: T.wastedImagePct || [10, 8, 6, 5],
       errors: T.errors || [0, 1, 2, 4],
       redirects: T.redirects || [0, 1, 3, 6],
-      cookieHeaderAvg: T.cookieHeaderAvg || [1024, 2048, 3072, 4096]
+      cookieHeaderAvg: T.cookieHeaderAvg || [1024, 2048, 3072, 4096],
+      unusedJsPct: T.unusedJsPct || [25, 40, 55, 70],
+      unusedCssPct: T.unusedCssPct || [40, 60, 75, 90]
     }
 
     function lb(v, key) {
@@ -186,13 +360,14 @@ export function generateDetailedReport(outDir, meta, result, kpi, domInfo, respo
 **Produit**: ${meta.product}
 **Page**: ${meta.pageName}
 **URL**: ${meta.url}
+**Profil d'émulation**: ${meta.profile || 'default'}
 **Date**: ${meta.timestamp}
-
+${meta.authState && meta.authState !== 'public' ? `**Authentification**: ${meta.authState === 'failed' ? '⚠️ échec du login — mesure probablement faite sur la page de connexion' : 'connecté'}\n` : ''}
 **KPI Composite**: **${result.kpiGrade} (${result.kpiScore})**
-
-## 🌱 Impact Environnemental (Mix énergétique français)
+${typeof result.ecoIndex === 'number' ? `**EcoIndex**: **${result.ecoIndexGrade} (${Math.round(result.ecoIndex)}/100)** — GES ${result.ecoIndexGes_g} gCO₂e, eau ${result.ecoIndexWater_cl} cL (formule de référence GreenIT)\n` : ''}
+## 🌱 Impact Environnemental
 ${impacts ? `
-**Grade environnemental**: **${gradeEnvironmentalImpact(impacts, cfg.kpi?.thresholds)}**
+**Grade environnemental**: **${gradeEnvironmentalImpact(impacts, cfg.kpi?.thresholds, cfg.kpi?.normalization)}**
 
 | Indicateur | Valeur | Statut | Équivalence |
 |---|---:|:--|:--|
@@ -201,8 +376,8 @@ ${impacts ? `
 | Eau | ${impacts.water_cl} cL | ${getImpactStatus(impacts.water_cl, cfg.kpi?.thresholds?.water_cl || [0.05, 0.1, 0.2, 0.4], 'water').emoji} ${getImpactStatus(impacts.water_cl, cfg.kpi?.thresholds?.water_cl || [0.05, 0.1, 0.2, 0.4], 'water').label} | ${(impacts.water_cl / 25).toFixed(2)} verres d'eau |
 | Données | ${impacts.dataGB} GB | ${getImpactStatus(impacts.dataGB, cfg.kpi?.thresholds?.dataGB || [0.0005, 0.001, 0.002, 0.004], 'data').emoji} ${getImpactStatus(impacts.dataGB, cfg.kpi?.thresholds?.dataGB || [0.0005, 0.001, 0.002, 0.004], 'data').label} | ${(impacts.dataGB * 1024).toFixed(1)} MB transférés |
 
-> **Modèle**: ${impacts.model} - Mix énergétique français 2023 (79g CO₂/kWh)
-` : '_Données d\'impact non disponibles._'}
+> **Modèle**: ${impacts.model} — ${impactModelDescription(impacts)}
+${impacts.segments ? `\n| Segment | Énergie (kWh) | CO₂ (g) |\n|---|---:|---:|\n${Object.entries(impacts.segments).map(([seg, v]) => `| ${SEGMENT_LABELS[seg] || seg} | ${v.energy_kWh} | ${v.co2_g} |`).join('\n')}\n` : ''}${impacts.attribution ? attributionSection(impacts.attribution) : ''}` : '_Données d\'impact non disponibles._'}
 
 `
 
@@ -272,6 +447,10 @@ ${(tips.how||[]).map(a=>`- ${a}`).join('\n')}`
     advice += section('errors', result.errors)
     advice += section('redirects', result.redirects)
     advice += section('cookieHeaderAvg', result.cookieHeaderAvg)
+    if (typeof result.unusedJsPct === 'number') {
+      advice += section('unusedJsPct', result.unusedJsPct)
+      advice += section('unusedCssPct', result.unusedCssPct)
+    }
     advice += `\n\n### fontsExternal
 **Valeur**: ${result.fontsExternal? '1 (vrai)' : '0 (faux)'} — **Statut**: ${result.fontsExternal ? '🟠 À améliorer' : '✅ Bon'}
 
@@ -284,15 +463,24 @@ ${(tips.how||[]).map(a=>`- ${a}`).join('\n')}`
     // Detailed calculation section
     let calcMd = '## Détail du calcul\n'
     try {
-      const calcKeys = [
+      const baseKeys = [
         'requests','transferKB','domSize','uniqueDomains','compressedPct','minifiedPct','inlineStyles','inlineScripts',
         'cssFiles','jsFiles','resizedImages','hiddenDownloadedImages','belowFoldNoLazy','staticNoCache','staticWithCookies',
-        'imageLegacyPct','wastedImagePct','errors','redirects','cookieHeaderAvg','fontsExternal','hstsMissing',
+        'imageLegacyPct','wastedImagePct','errors','redirects','cookieHeaderAvg','fontsExternal','hstsMissing','thirdPartyBytesPct',
         'co2Impact','energyImpact','waterImpact','dataImpact'
       ]
       const kpiDebug = (typeof kpi === 'object' && kpi && kpi.norms && kpi.effW) ? kpi : null
+      // Metrics with no weight by default (runtime, web vitals, unused code...) are listed once weighted
+      const calcKeys = kpiDebug
+        ? [...baseKeys, ...Object.keys(kpiDebug.effW).filter(k => kpiDebug.effW[k] > 0 && !baseKeys.includes(k))]
+        : baseKeys
 
       if (kpiDebug) {
+        const norm = kpiDebug.normalization
+        if (norm && norm !== 'step') {
+          const perMetric = Object.entries(norm.metrics || {}).map(([k, v]) => `${k}: ${v}`).join(', ')
+          calcMd += `Normalisation des scores : **${typeof norm === 'string' ? norm : (norm.default || 'step')}**${perMetric ? ` (${perMetric})` : ''}\n\n`
+        }
         calcMd += '| Critère | Valeur | Score (0-100) | Poids | Contribution |\n|---|---:|---:|---:|---:|\n'
         const valOf = (key) => {
           if (key in result) return result[key]
@@ -316,6 +504,26 @@ ${(tips.how||[]).map(a=>`- ${a}`).join('\n')}`
         if ((kpiDebug.ceilingApplied || 100) < 100) {
           calcMd += `\n> Plafond appliqué: **${kpiDebug.ceilingApplied}**. Contributions × **${(kpiDebug.scale||1).toFixed(2)}**.\n`
         }
+        if (kpiDebug.ceilingRules?.length) {
+          calcMd += `\n**Règles de plafond déclenchées**\n\n| Condition | Plafond | Libellé |\n|---|---:|---|\n`
+          for (const r of kpiDebug.ceilingRules) {
+            const binding = r.max_score === kpiDebug.ceilingApplied ? ' ⬅️' : ''
+            calcMd += `| \`${r.if}\` | ${r.max_score}${binding} | ${r.label || ''} |\n`
+          }
+        }
+        if (kpiDebug.adjustments?.length) {
+          calcMd += `\n**Bonus et malus**\n\n| Type | Règle | Points |\n|---|---|---:|\n`
+          for (const a of kpiDebug.adjustments) {
+            calcMd += `| ${a.kind === 'bonus' ? 'Bonus' : 'Malus'} | ${a.name}${a.capped ? ' (plafonné)' : ''} | ${a.points > 0 ? '+' : ''}${a.points} |\n`
+          }
+          calcMd += `| **Total** |  | **${kpiDebug.adjustmentTotal > 0 ? '+' : ''}${kpiDebug.adjustmentTotal}** |\n`
+        }
+        if (kpiDebug.adjustmentErrors?.length) {
+          calcMd += `\n> ⚠️ Bonus/malus non évalués : ${kpiDebug.adjustmentErrors.map(e => e.error).join(' ; ')}\n`
+        }
+        if (kpiDebug.ceilingErrors?.length) {
+          calcMd += `\n> ⚠️ Règles de plafond non évaluées : ${kpiDebug.ceilingErrors.map(e => e.error).join(' ; ')}\n`
+        }
       } else {
         calcMd += '_(Données détaillées indisponibles dans cette exécution.)_\n'
       }
@@ -323,10 +531,13 @@ ${(tips.how||[]).map(a=>`- ${a}`).join('\n')}`
       console.error('[report] calc section failed:', e)
     }
 
-    const reportMd = header + resume + "\n" + advice + "\n" + calcMd
+    const repeatMd = repeatVisitSection(result, responses, extra.warmResponses)
+
+    const reportMd = header + resume + "\n" + spreadSection(result) + repeatMd + webVitalsSection(result) + runtimeSection(result, impacts) + coverageSection(result, extra.coverage) + advice + "\n" + calcMd
 
     const ts = nowIso().replace(/[:.]/g, '-')
-    const baseName = `${safeName(meta.product)}_${safeName(meta.pageName)}_${ts}`
+    const profileSuffix = (meta.profile && meta.profile !== 'default') ? '_' + safeName(meta.profile) : ''
+    const baseName = `${safeName(meta.product)}_${safeName(meta.pageName)}${profileSuffix}_${ts}`
     const reportsDir = path.join(outDir, 'reports', safeName(meta.product))
     ensureDir(reportsDir)
     const reportPath = path.join(reportsDir, `${baseName}_report.md`)
@@ -336,4 +547,65 @@ ${(tips.how||[]).map(a=>`- ${a}`).join('\n')}`
   } catch (err) {
     console.error('[report] generation failed:', err)
   }
-}
\ No newline at end of file
+}
+
+export function generateJourneyReport(outDir, journey, total, stepRecords, cfg) {
+  try {
+    const product = total.record.product
+    const rows = stepRecords.map(s => ({
+      '#': s.record.stepIndex,
+      'Étape': s.record.stepName + (s.record.stepError ? ' ⚠️' : ''),
+      'Score': s.record.kpiScore,
+      'Grade': s.record.kpiGrade,
+      'EcoIndex': `${Math.round(s.record.ecoIndex)} (${s.record.ecoIndexGrade})`,
+      'Requêtes': s.record.requests,
+      'Transfert (KB)': s.record.transferKB,
+      'DOM': s.record.domSize,
+      'CO₂ (g)': s.record.co2_g,
+      'Eau (cL)': s.record.water_cl,
+      'CPU (ms)': s.record.cpuTimeMs ?? '',
+      'LCP (ms)': s.record.lcpMs ?? ''
+    }))
+    rows.push({
+      '#': '',
+      'Étape': '**Cumul**',
+      'Score': `**${total.record.kpiScore}**`,
+      'Grade': `**${total.record.kpiGrade}**`,
+      'EcoIndex': `${Math.round(total.record.ecoIndex)} (${total.record.ecoIndexGrade})`,
+      'Requêtes': total.record.requests,
+      'Transfert (KB)': total.record.transferKB,
+      'DOM': total.record.domSize,
+      'CO₂ (g)': total.record.co2_g,
+      'Eau (cL)': total.record.water_cl,
+      'CPU (ms)': total.record.cpuTimeMs ?? '',
+      'LCP (ms)': total.record.lcpMs ?? ''
+    })
+
+    const errors = stepRecords.filter(s => s.record.stepError)
+    let md = `# Rapport parcours utilisateur
+**Produit**: ${product}
+**Parcours**: ${journey.name}
+**Date**: ${total.record.timestamp}
+**Statut**: ${total.record.completed ? '✅ Complet' : '⚠️ Incomplet'}
+${total.record.authState === 'failed' ? '**Authentification**: ⚠️ échec du login — mesures probablement faites sur la page de connexion\n' : ''}
+**KPI cumulé**: **${total.record.kpiGrade} (${total.record.kpiScore})**
+
+## Détail par étape
+${mdTable(rows)}
+> Les métriques d'une étape ne comptent que les requêtes déclenchées pendant cette étape.
+> Le cumul additionne toutes les étapes ; le DOM retenu est celui de la dernière étape.
+`
+    if (errors.length) {
+      md += `\n## Étapes en échec\n${errors.map(s => `- ${s.record.stepName}: ${s.record.stepError}`).join('\n')}\n`
+    }
+
+    const ts = nowIso().replace(/[:.]/g, '-')
+    const reportsDir = path.join(outDir, 'reports', safeName(product))
+    ensureDir(reportsDir)
+    const reportPath = path.join(reportsDir, `${safeName(product)}_JOURNEY_${safeName(journey.name)}_${ts}_report.md`)
+    fs.writeFileSync(reportPath, md, 'utf8')
+    console.log(`  Journey report: ${reportPath}`)
+  } catch (err) {
+    console.error('[report] journey report failed:', err)
+  }
+}
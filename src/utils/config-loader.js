@@ -15,11 +15,177 @@
  */
 
 import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
 import * as yaml from 'yaml'
+import { parseConfigDocument, validateConfigDocument, validateConfigValue, formatIssue } from './config-schema.js'
 
-export function loadConfig(configPath) {
-  const cfgText = fs.readFileSync(configPath, 'utf8')
-  return yaml.parse(cfgText) || {}
+export class ConfigError extends Error {
+  constructor(message, issues) {
+    super(message)
+    this.name = 'ConfigError'
+    this.issues = issues
+  }
+}
+
+// ${VAR}, ${VAR:-default} (unset or empty), ${VAR:?message} (required); $$ escapes a dollar
+const ENV_REF = /\$\$|\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:-|:\?)([^}]*))?\}/g
+
+export function interpolateEnv(text, env = process.env, onIssue = () => {}) {
+  return text.replace(ENV_REF, (match, name, op, arg) => {
+    if (match === '$$') return '$'
+    const value = env[name]
+    if (value != null && value !== '') return value
+    if (op === ':-') return arg
+    if (op === ':?') onIssue('error', `environment variable ${name} is required${arg ? ': ' + arg : ''}`)
+    else onIssue('warning', `environment variable ${name} is not set (empty string used)`)
+    return ''
+  })
+}
+
+// Interpolates string scalars in place, so node positions stay valid for error
+// messages. An unquoted scalar made of a single ${...} is re-typed: ${PORT:-80} -> 80.
+function interpolateDocument(doc, issues) {
+  yaml.visit(doc, {
+    Scalar(key, node) {
+      if (typeof node.value !== 'string' || !node.value.includes('$')) return
+      const raw = node.value
+      const value = interpolateEnv(raw, process.env, (level, message) => issues.push({ node, level, message }))
+      const whole = /^\$\{[^}]+\}$/.test(raw) && node.type === 'PLAIN'
+      node.value = whole && key === 'value' ? retype(value) : value
+    }
+  })
+}
+
+function retype(value) {
+  try {
+    const parsed = yaml.parse(value)
+    return (parsed === null || ['number', 'boolean'].includes(typeof parsed)) ? parsed : value
+  } catch {
+    return value
+  }
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+// Objects merge key by key; lists are replaced, or appended with concatArrays
+export function mergeDeep(base, over, { concatArrays = false } = {}) {
+  if (isPlainObject(base) && isPlainObject(over)) {
+    const out = { ...base }
+    for (const [k, v] of Object.entries(over)) out[k] = (k in base) ? mergeDeep(base[k], v, { concatArrays }) : v
+    return out
+  }
+  if (concatArrays && Array.isArray(base) && Array.isArray(over)) return [...base, ...over]
+  return over === undefined ? base : over
+}
+
+const toList = (v) => Array.isArray(v) ? v : (v ? [v] : [])
+
+// Loads one file and what it pulls in:
+//   extends: parent config(s), overridden by this file (lists replaced)
+//   include: fragments merged into this file (lists appended, e.g. extra targets)
+// Paths are relative to the file declaring them.
+function loadFile(configPath, state, { fragment }) {
+  const abs = path.resolve(configPath)
+  const file = path.relative(process.cwd(), abs) || abs
+  if (state.stack.includes(abs)) {
+    state.issues.push({ level: 'error', path: [], message: `circular extends/include: ${[...state.stack, abs].map(f => path.relative(process.cwd(), f)).join(' -> ')}`, source: file })
+    return {}
+  }
+  state.files.push(abs)
+  const { doc, lineCounter, issues: syntax } = parseConfigDocument(fs.readFileSync(abs, 'utf8'))
+  if (syntax.length) {
+    state.issues.push(...syntax.map(i => ({ ...i, source: file })))
+    return {}
+  }
+
+  const envIssues = []
+  interpolateDocument(doc, envIssues)
+  for (const { node, level, message } of envIssues) {
+    const pos = node.range ? lineCounter.linePos(node.range[0]) : null
+    state.issues.push({ level, path: [], message, line: pos?.line, col: pos?.col, source: file })
+  }
+
+  const { config, issues } = validateConfigDocument(doc, lineCounter, { fragment })
+  state.issues.push(...issues.map(i => ({ ...i, source: file })))
+
+  const { extends: parents, include, ...own } = config
+  const dir = path.dirname(abs)
+  state.stack.push(abs)
+  let base = {}
+  for (const parent of toList(parents)) base = mergeDeep(base, loadFile(path.resolve(dir, parent), state, { fragment: true }))
+  let body = {}
+  for (const fragmentFile of toList(include)) body = mergeDeep(body, loadFile(path.resolve(dir, fragmentFile), state, { fragment: true }), { concatArrays: true })
+  state.stack.pop()
+
+  return mergeDeep(base, mergeDeep(body, own, { concatArrays: true }))
+}
+
+// Resolves extends/include, ${ENV} interpolation and the --profile overlay.
+// Returns { config, issues, files, profile }; nothing is printed or thrown.
+export function resolveConfig(configPath, { profile = null } = {}) {
+  const state = { files: [], issues: [], stack: [] }
+  let config = loadFile(configPath, state, { fragment: false })
+  const { profiles, ...rest } = config
+  config = rest
+
+  if (profile) {
+    if (!profiles?.[profile]) {
+      const names = Object.keys(profiles || {})
+      state.issues.push({ level: 'error', path: ['profiles'], message: `unknown profile "${profile}" (${names.length ? 'available: ' + names.join(', ') : 'no profiles defined'})`, source: configPath })
+    } else {
+      config = mergeDeep(config, profiles[profile])
+    }
+  }
+
+  // The merged result may break rules no single file breaks (e.g. a required key
+  // provided nowhere): report what the per-file pass has not already reported
+  if (state.files.length > 1 || profile) {
+    const seen = new Set(state.issues.map(i => i.message))
+    for (const issue of validateConfigValue(config)) {
+      if (issue.level === 'error' && !seen.has(issue.message)) state.issues.push({ ...issue, source: `${configPath} (merged${profile ? ', profile ' + profile : ''})` })
+    }
+  }
+  return { config, issues: state.issues, files: state.files, profile }
+}
+
+// Prints warnings; throws a ConfigError listing every error with its file/line/column
+export function assertValidConfig(issues, source = 'config') {
+  issues.filter(i => i.level === 'warning').forEach(i => console.warn(`[config] ${formatIssue(i, source)}`))
+  const errors = issues.filter(i => i.level === 'error')
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration (${errors.length} error${errors.length > 1 ? 's' : ''}):\n` + errors.map(i => '  ' + formatIssue(i, source)).join('\n'), issues)
+  }
+}
+
+// Reads and validates the YAML config. Warnings (unknown keys...) are printed,
+// errors abort with a ConfigError listing every problem with its line/column.
+export function loadConfig(configPath, opts = {}) {
+  const { config, issues } = resolveConfig(configPath, opts)
+  assertValidConfig(issues, configPath)
+  return config
+}
+
+// Secrets never leave the process: values of credential-like keys are masked
+const SECRET_KEY = /(pass(word|wd)?|secret|token|api[-_]?key|credential)$/i
+
+export function redactConfig(value, key = '') {
+  if (Array.isArray(value)) return value.map(v => redactConfig(v))
+  if (isPlainObject(value)) {
+    const out = {}
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = (SECRET_KEY.test(k) || (k === 'value' && 'name' in value)) && v != null && !isPlainObject(v) ? '***' : redactConfig(v, k)
+    }
+    return out
+  }
+  return value
+}
+
+// Short, stable fingerprint of the resolved config (key order independent)
+export function configHash(config) {
+  const canonical = (v) => Array.isArray(v) ? v.map(canonical)
+    : isPlainObject(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])])) : v
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(config))).digest('hex').slice(0, 12)
 }
 
 export function toCsvRow(obj, headers) {
@@ -0,0 +1,588 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as yaml from 'yaml'
+import { DEFAULT_WEIGHTS, DEFAULT_THRESHOLDS, conditionNames } from '../kpi/kpi-scorer.js'
+import { parseExpression, identifiers } from '../kpi/expression.js'
+import { NORMALIZATION_MODES } from '../kpi/normalization.js'
+import { IMPACT_MODELS, GRID_INTENSITIES } from '../kpi/impact-models.js'
+import { STEP_ACTIONS } from '../crawler/scenario-runner.js'
+import { AUTH_STRATEGIES } from '../crawler/auth-strategies.js'
+
+// Config schema (schemaVersion: 2). A small JSON-schema-like description:
+//   { type, properties, additional, required, items, enum, oneOf, min, max, check }
+// Unknown keys are warnings (with a did-you-mean), everything else is an error.
+// `check(value)` returns an error message, or { warning } for a non-fatal remark.
+
+export const SCHEMA_VERSION = 2
+
+const str = (extra = {}) => ({ type: 'string', ...extra })
+const num = (extra = {}) => ({ type: 'number', ...extra })
+const int = (extra = {}) => ({ type: 'integer', ...extra })
+const bool = () => ({ type: 'boolean' })
+const any = () => ({ type: 'any' })
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra })
+const obj = (properties, extra = {}) => ({ type: 'object', properties, ...extra })
+const map = (additional, extra = {}) => ({ type: 'object', properties: {}, additional, ...extra })
+const oneOf = (...alternatives) => ({ oneOf: alternatives })
+const enumOf = (values) => ({ enum: values })
+
+const regex = () => str({
+  check: (v) => {
+    try {
+      new RegExp(v)
+      return null
+    } catch (e) {
+      return e.message
+    }
+  }
+})
+const strOrList = (item = str()) => oneOf(item, arr(item))
+
+function expressionError(v) {
+  try {
+    parseExpression(v)
+    return null
+  } catch (e) {
+    return e.message
+  }
+}
+
+// Condition over page metrics (see src/kpi/expression.js). Syntax errors are
+// fatal; an unknown metric only warns since it will simply never match.
+const condition = () => str({
+  check: (v) => {
+    let ast
+    try {
+      ast = parseExpression(v)
+    } catch (e) {
+      return e.message
+    }
+    const names = conditionNames()
+    const unknown = [...identifiers(ast)].filter(n => !names.includes(n))
+    if (!unknown.length) return null
+    return {
+      warning: unknown.map(n => {
+        const hint = didYouMean(n, names)
+        return `unknown metric "${n}"${hint ? ` (did you mean "${hint}"?)` : ''}`
+      }).join(', ') + ': the rule will never apply'
+    }
+  }
+})
+
+// 4 thresholds, monotonic in either direction (lower-better or higher-better)
+const thresholds4 = () => arr(num(), {
+  check: (v) => {
+    if (v.length !== 4) return `expected 4 thresholds, got ${v.length}`
+    const up = v.every((x, i) => i === 0 || x >= v[i - 1])
+    const down = v.every((x, i) => i === 0 || x <= v[i - 1])
+    return (up || down) ? null : `thresholds must be monotonic (all increasing or all decreasing): [${v.join(', ')}]`
+  }
+})
+
+const viewport = () => obj({ width: int({ min: 1 }), height: int({ min: 1 }) }, { required: ['width', 'height'] })
+
+const step = () => obj({
+  action: enumOf(STEP_ACTIONS),
+  selector: str(),
+  text: oneOf(str(), num()),
+  state: enumOf(['attached', 'detached', 'visible', 'hidden']),
+  ms: num({ min: 0 }),
+  stepPx: num({ min: 1 }),
+  delayMs: num({ min: 0 }),
+  maxScrolls: int({ min: 1 }),
+  timeoutMs: num({ min: 0 }),
+  afterMs: num({ min: 0 }),
+  required: bool()
+}, { required: ['action'] })
+
+const loginConditions = () => obj({ urlMatches: regex(), selector: str(), cookie: str() })
+
+const login = () => obj({
+  strategy: enumOf(AUTH_STRATEGIES),
+  url: str(),
+  username: str(),
+  password: str(),
+  usernameEnv: str(),
+  passwordEnv: str(),
+  envPrefix: str(),
+  usernameSelector: strOrList(),
+  usernameSelectors: strOrList(),
+  passwordSelector: strOrList(),
+  passwordSelectors: strOrList(),
+  submitSelector: str(),
+  waitFor: enumOf(['load', 'domcontentloaded', 'networkidle', 'commit']),
+  timeoutMs: num({ min: 0 }),
+  storageStatePath: str(),
+  reuseSession: bool(),
+  sessionProbe: obj({
+    url: str(),
+    selector: str(),
+    status: oneOf(int(), arr(int())),
+    urlNotContains: str(),
+    timeoutMs: num({ min: 0 })
+  }, { required: ['url'] }),
+  successWhen: loginConditions(),
+  failureWhen: loginConditions(),
+  conditionTimeoutMs: num({ min: 0 }),
+  // header
+  token: str(),
+  tokenEnv: str(),
+  headerName: str(),
+  headerPrefix: str(),
+  // cookie
+  cookieName: str(),
+  cookieEnv: str(),
+  cookieDomain: str(),
+  cookies: arr(obj({
+    name: str(),
+    value: str(),
+    valueEnv: str(),
+    domain: str(),
+    path: str(),
+    secure: bool(),
+    httpOnly: bool()
+  }, { required: ['name'] })),
+  // oidc-form
+  consentSelector: str(),
+  returnUrlContains: str(),
+  // script
+  script: str(),
+  totp: obj({
+    secretEnv: str(),
+    codeSelector: str(),
+    submitSelector: str(),
+    digits: int({ min: 6, max: 10 }),
+    period: int({ min: 1 }),
+    algorithm: enumOf(['sha1', 'sha256', 'sha512', 'SHA1', 'SHA256', 'SHA512'])
+  }, { required: ['codeSelector'] })
+})
+
+const pageAuth = () => enumOf(['none', 'public', 'required'])
+
+const page = () => obj({
+  name: str(),
+  url: str(),
+  weight: num({ min: 0 }),
+  monthlyViews: num({ min: 0 }),
+  auth: pageAuth(),
+  requiresAuth: bool(),
+  steps: arr(step()),
+  profiles: arr(str())
+}, { required: ['name', 'url'] })
+
+const discover = () => obj({
+  startUrl: str(),
+  sitemap: str(),
+  maxDepth: int({ min: 0 }),
+  maxPages: int({ min: 1 }),
+  maxFetches: int({ min: 1 }),
+  include: strOrList(regex()),
+  exclude: strOrList(regex()),
+  templates: strOrList(),
+  worstPages: int({ min: 1 }),
+  weight: num({ min: 0 }),
+  auth: pageAuth(),
+  steps: arr(step()),
+  profiles: arr(str())
+}, { check: (v) => (v.startUrl || v.sitemap) ? null : 'discover needs startUrl and/or sitemap' })
+
+const target = () => obj({
+  product: str(),
+  login: login(),
+  // Product-wide views, split across the pages without monthlyViews by weight
+  monthlyViews: num({ min: 0 }),
+  pages: arr(page()),
+  discover: discover(),
+  profiles: arr(str())
+}, { required: ['product'] })
+
+const journey = () => obj({
+  name: str(),
+  product: str(),
+  profile: str(),
+  auth: pageAuth(),
+  requiresAuth: bool(),
+  login: login(),
+  steps: arr(obj({
+    name: str(),
+    url: str(),
+    actions: arr(step()),
+    settleAfterMs: num({ min: 0 })
+  }), { min: 1 })
+}, { required: ['name', 'steps'] })
+
+const emulationProfile = () => obj({
+  viewport: viewport(),
+  deviceScaleFactor: num({ min: 0 }),
+  isMobile: bool(),
+  hasTouch: bool(),
+  userAgent: str(),
+  cpuThrottling: num({ min: 1 }),
+  network: obj({ downloadKbps: num({ min: 0 }), uploadKbps: num({ min: 0 }), latencyMs: num({ min: 0 }) })
+})
+
+// kpi.bonuses / kpi.penalties: { metricFlag: points } or [{ if | metric, points, label }]
+const metricFlags = () => map(num({ min: 0 }), {
+  check: (v) => {
+    const names = conditionNames()
+    const unknown = Object.keys(v).filter(k => !names.includes(k))
+    if (!unknown.length) return null
+    return {
+      warning: unknown.map(n => {
+        const hint = didYouMean(n, names)
+        return `unknown metric "${n}"${hint ? ` (did you mean "${hint}"?)` : ''}`
+      }).join(', ') + ': never applied'
+    }
+  }
+})
+const adjustmentRules = () => oneOf(metricFlags(), arr(obj({
+  if: condition(),
+  metric: str(),
+  points: num({ min: 0 }),
+  label: str()
+}, {
+  required: ['points'],
+  check: (v) => (v.if || v.metric) ? null : 'needs "if" (expression) or "metric" (flag name)'
+})))
+
+const kpi = () => obj({
+  weights: obj(Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(k => [k, num({ min: 0 })]))),
+  thresholds: obj(Object.fromEntries(Object.keys(DEFAULT_THRESHOLDS).map(k => [k, thresholds4()]))),
+  // normalization: linear, or { default: linear, metrics: { transferKB: log } }
+  normalization: oneOf(enumOf(NORMALIZATION_MODES), obj({
+    default: enumOf(NORMALIZATION_MODES),
+    metrics: obj(Object.fromEntries(Object.keys(DEFAULT_THRESHOLDS).map(k => [k, enumOf(NORMALIZATION_MODES)])))
+  })),
+  // page_weights: { Page: w } or { Product: { Page: w } }
+  page_weights: map(oneOf(num({ min: 0 }), map(num({ min: 0 })))),
+  score_ceilings: arr(obj({
+    if: condition(),
+    max_score: num({ min: 0, max: 100 }),
+    label: str()
+  }, { required: ['if', 'max_score'] })),
+  bonuses: adjustmentRules(),
+  penalties: adjustmentRules(),
+  adjustments: obj({
+    max_bonus: num({ min: 0 }),
+    max_penalty: num({ min: 0 }),
+    apply: enumOf(['before_ceiling', 'after_ceiling'])
+  })
+})
+
+const impact = () => obj({
+  model: enumOf(Object.keys(IMPACT_MODELS)),
+  kWhPerGB: num({ min: 0 }),
+  gridIntensity_g_per_kWh: num({ min: 0 }),
+  waterIntensity_L_per_kWh: num({ min: 0 }),
+  grid: obj({
+    country: enumOf(Object.keys(GRID_INTENSITIES)),
+    year: int()
+  }, {
+    check: (v) => {
+      const years = GRID_INTENSITIES[v.country || 'FR']
+      return (v.year == null || years[v.year] != null) ? null : `no grid intensity for ${v.country || 'FR'} ${v.year} (known years: ${Object.keys(years).join(', ')})`
+    }
+  }),
+  // Domains hosted on renewable energy (suffix match: "example.org" covers "cdn.example.org")
+  greenHosting: arr(oneOf(str(), obj({ domain: str(), grid_g_per_kWh: num({ min: 0 }) }, { required: ['domain'] }))),
+  renewableIntensity_g_per_kWh: num({ min: 0 }),
+  // Client CPU energy from the measured main-thread time (crawler/runtime-probe.js)
+  device: obj({ cpuWatts: num({ min: 0 }) }),
+  // First/third-party attribution (kpi/attribution.js)
+  firstPartyDomains: arr(str()),
+  domainCategories: map(arr(str())),
+  swdm: obj({
+    returnVisitorRatio: num({ min: 0, max: 1 }),
+    dataReloadRatio: num({ min: 0, max: 1 })
+  }),
+  onebyte: obj({
+    network: enumOf(['average', 'wired', 'wifi', 'mobile'])
+  }),
+  custom: obj({
+    energy_kWh: str({ check: (v) => expressionError(v) }),
+    co2_g: str({ check: (v) => expressionError(v) })
+  }, { required: ['energy_kWh'] })
+}, {
+  check: (v) => (v.model === 'custom' && !v.custom) ? 'impact.model custom needs impact.custom.energy_kWh' : null
+})
+
+export const CONFIG_SCHEMA = obj({
+  schemaVersion: int({ min: 1, max: SCHEMA_VERSION }),
+  runtime: obj({
+    headless: bool(),
+    ignoreHTTPSErrors: bool(),
+    navigationTimeoutMs: num({ min: 0 }),
+    viewport: viewport(),
+    userAgent: str(),
+    userDataDir: str(),
+    settleAfterMs: num({ min: 0 }),
+    stepTimeoutMs: num({ min: 0 }),
+    repeatVisit: bool(),
+    repetitions: int({ min: 1 }),
+    varianceFactor: num({ min: 0 }),
+    concurrency: int({ min: 1 }),
+    coverage: bool(),
+    onAuthFailure: enumOf(['skip', 'flag'])
+  }),
+  emulation: obj({
+    profiles: arr(str()),
+    definitions: map(emulationProfile())
+  }),
+  politeness: obj({
+    robots: oneOf(bool(), enumOf(['discovered'])),
+    userAgent: str(),
+    minDelayMs: num({ min: 0 }),
+    maxRequests: int({ min: 0 })
+  }),
+  cache: obj({ minSeconds: num({ min: 0 }) }),
+  login: login(),
+  targets: arr(target()),
+  journeys: arr(journey()),
+  kpi: kpi(),
+  // Free-form report guards (maxBelowFoldNoLazy, minImageResponsivePct...)
+  rweb: map(num()),
+  impact: impact(),
+  // Yearly projection (kpi/projection.js)
+  traffic: obj({
+    csv: str(),
+    cacheHitRatio: num({ min: 0, max: 1 })
+  }),
+  // Composition (config-loader.js): base configs, merged fragments
+  extends: strOrList(),
+  include: strOrList()
+}, {
+  check: (v) => {
+    if (!v.traffic?.cacheHitRatio) return null
+    if (v.impact?.model === 'swdm-v4') return { warning: 'traffic.cacheHitRatio is ignored with impact.model swdm-v4 (use impact.swdm.returnVisitorRatio)' }
+    if (!v.runtime?.repeatVisit) return { warning: 'traffic.cacheHitRatio has no effect without runtime.repeatVisit (cached views are projected as cold ones)' }
+    return null
+  }
+})
+
+// Named profiles (--profile): partial configs merged over the base.
+// Not to be confused with emulation.profiles (device/network emulation).
+const { schemaVersion: _version, extends: _extends, include: _include, ...profileProperties } = CONFIG_SCHEMA.properties
+CONFIG_SCHEMA.properties.profiles = map(obj(profileProperties))
+
+// Names that are not close in spelling but commonly confused
+const KNOWN_MISTAKES = {
+  grid_g_per_kWh: 'gridIntensity_g_per_kWh',
+  water_L_per_kWh: 'waterIntensity_L_per_kWh',
+  requireAuth: 'requiresAuth',
+  scoreCeilings: 'score_ceilings',
+  pageWeights: 'page_weights'
+}
+
+export function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0]
+    prev[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j]
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1))
+      diag = tmp
+    }
+  }
+  return prev[b.length]
+}
+
+function didYouMean(key, candidates) {
+  if (KNOWN_MISTAKES[key] && candidates.includes(KNOWN_MISTAKES[key])) return KNOWN_MISTAKES[key]
+  const lower = key.toLowerCase()
+  const prefixed = key.length >= 3 && candidates.find(c => c.toLowerCase().startsWith(lower))
+  if (prefixed) return prefixed
+  let best = null
+  let bestD = Infinity
+  for (const c of candidates) {
+    const d = levenshtein(key.toLowerCase(), c.toLowerCase())
+    if (d < bestD) { best = c; bestD = d }
+  }
+  return (best && bestD <= Math.max(2, Math.floor(key.length / 3))) ? best : null
+}
+
+function typeMatches(v, type) {
+  if (type === 'array') return Array.isArray(v)
+  if (type === 'object') return v !== null && typeof v === 'object' && !Array.isArray(v)
+  if (type === 'integer') return typeof v === 'number'
+  return typeof v === type
+}
+
+const typeName = (v) => v === null ? 'null' : Array.isArray(v) ? 'list' : typeof v
+
+function describeSchema(s) {
+  if (s.enum) return `one of ${s.enum.join(', ')}`
+  if (s.oneOf) return s.oneOf.map(describeSchema).join(' or ')
+  return { object: 'a mapping', array: 'a list', integer: 'an integer', number: 'a number', string: 'a string', boolean: 'true/false' }[s.type] || s.type
+}
+
+function validateNode(value, s, path, issues) {
+  if (s.oneOf) {
+    const attempts = s.oneOf.map(alt => {
+      const sub = []
+      validateNode(value, alt, path, sub)
+      return { alt, sub }
+    })
+    const ok = attempts.find(a => !a.sub.some(i => i.level === 'error'))
+    if (ok) {
+      issues.push(...ok.sub)
+      return
+    }
+    // The value has the right shape for one alternative: its errors are the useful ones
+    const sameShape = attempts.find(a => a.alt.type ? typeMatches(value, a.alt.type) : a.alt.enum?.some(e => typeof e === typeof value))
+    if (sameShape) {
+      issues.push(...sameShape.sub)
+      return
+    }
+    issues.push({ level: 'error', path, message: `expected ${describeSchema(s)}, got ${typeName(value)}` })
+    return
+  }
+  if (s.enum) {
+    if (!s.enum.includes(value)) {
+      const hint = typeof value === 'string' ? didYouMean(value, s.enum.map(String)) : null
+      issues.push({ level: 'error', path, message: `expected ${describeSchema(s)}, got ${JSON.stringify(value)}${hint ? ` (did you mean "${hint}"?)` : ''}` })
+    }
+    return
+  }
+
+  const bad = () => issues.push({ level: 'error', path, message: `expected ${describeSchema(s)}, got ${typeName(value)}` })
+  switch (s.type) {
+    case 'any':
+      break
+    case 'string':
+      if (typeof value !== 'string') return bad()
+      break
+    case 'boolean':
+      if (typeof value !== 'boolean') return bad()
+      break
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (s.type === 'integer' && !Number.isInteger(value))) return bad()
+      if (s.min != null && value < s.min) issues.push({ level: 'error', path, message: `must be >= ${s.min}, got ${value}` })
+      if (s.max != null && value > s.max) issues.push({ level: 'error', path, message: `must be <= ${s.max}, got ${value}` })
+      break
+    case 'array':
+      if (!Array.isArray(value)) return bad()
+      if (s.min != null && value.length < s.min) issues.push({ level: 'error', path, message: `needs at least ${s.min} item(s)` })
+      value.forEach((item, i) => validateNode(item, s.items, [...path, i], issues))
+      break
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return bad()
+      const known = Object.keys(s.properties || {})
+      for (const [k, v] of Object.entries(value)) {
+        if (s.properties?.[k]) {
+          // An explicit null means "not set"
+          if (v !== null) validateNode(v, s.properties[k], [...path, k], issues)
+        } else if (s.additional) {
+          validateNode(v, s.additional, [...path, k], issues)
+        } else {
+          const hint = didYouMean(k, known)
+          issues.push({ level: 'warning', path: [...path, k], atKey: true, message: `unknown key "${k}"${hint ? ` (did you mean "${hint}"?)` : ''}, ignored` })
+        }
+      }
+      for (const r of (s.required || [])) {
+        if (value[r] == null) issues.push({ level: 'error', path, message: `missing required key "${r}"` })
+      }
+      break
+    }
+  }
+  if (s.check && !issues.some(i => i.level === 'error' && i.path.length >= path.length && path.every((p, j) => i.path[j] === p))) {
+    const res = s.check(value)
+    if (typeof res === 'string') issues.push({ level: 'error', path, message: res })
+    else if (res?.warning) issues.push({ level: 'warning', path, message: res.warning })
+  }
+}
+
+// Line/column of the node (or of its key, for unknown keys) at `path`
+function locate(doc, lineCounter, path, atKey) {
+  let node = doc.contents
+  let keyNode = null
+  for (const seg of path) {
+    if (yaml.isMap(node)) {
+      const pair = node.items.find(p => (yaml.isScalar(p.key) ? p.key.value : p.key) === seg)
+      if (!pair) break
+      keyNode = pair.key
+      node = pair.value
+    } else if (yaml.isSeq(node)) {
+      keyNode = null
+      node = node.items[seg]
+    } else {
+      break
+    }
+  }
+  const target = (atKey && keyNode) ? keyNode : (node || keyNode)
+  const offset = target?.range?.[0]
+  return offset != null ? lineCounter.linePos(offset) : null
+}
+
+export function formatPath(path) {
+  return path.reduce((acc, seg) => typeof seg === 'number' ? `${acc}[${seg}]` : (acc ? `${acc}.${seg}` : String(seg)), '') || '(root)'
+}
+
+// Parses YAML text keeping node positions. Returns { doc, lineCounter, issues }
+// (issues = syntax errors only)
+export function parseConfigDocument(text) {
+  const lineCounter = new yaml.LineCounter()
+  const doc = yaml.parseDocument(text, { lineCounter, prettyErrors: true })
+  const issues = doc.errors.map(e => ({
+    level: 'error',
+    path: [],
+    message: e.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+    line: e.linePos?.[0]?.line,
+    col: e.linePos?.[0]?.col
+  }))
+  return { doc, lineCounter, issues }
+}
+
+// Validates a parsed document; each issue is { level: 'error' | 'warning', path, message, line, col }.
+// `fragment`: a file pulled in by extends/include (no schemaVersion needed)
+export function validateConfigDocument(doc, lineCounter, { fragment = false } = {}) {
+  const config = doc.toJS() || {}
+  const found = collectIssues(config)
+  if (!fragment && config.schemaVersion == null) {
+    found.push({ level: 'warning', path: [], message: `no schemaVersion, assuming ${SCHEMA_VERSION}` })
+  }
+  const issues = found.map(issue => {
+    const pos = locate(doc, lineCounter, issue.path, issue.atKey)
+    return { level: issue.level, path: issue.path, message: issue.message, line: pos?.line, col: pos?.col }
+  })
+  return { config, issues }
+}
+
+// Raw issues; `atKey` (report at the key rather than the value) is only used by locate()
+function collectIssues(config) {
+  const found = []
+  validateNode(config, CONFIG_SCHEMA, [], found)
+  return found
+}
+
+// Validates a plain object (no positions), e.g. a config merged from several files
+export function validateConfigValue(config) {
+  return collectIssues(config).map(({ atKey, ...issue }) => issue)
+}
+
+export function validateConfigText(text) {
+  const { doc, lineCounter, issues } = parseConfigDocument(text)
+  if (issues.length) return { config: null, issues }
+  return validateConfigDocument(doc, lineCounter)
+}
+
+export function formatIssue(issue, source = 'config') {
+  const file = issue.source || source
+  const where = issue.line ? `${file}:${issue.line}:${issue.col}` : file
+  return `${where} ${issue.level}: ${issue.path?.length ? formatPath(issue.path) + ': ' : ''}${issue.message}`
+}
@@ -44,4 +44,7 @@ export function round2(x) {
 
 export function round4(x) {
   return Math.round((x + Number.EPSILON) * 10000) / 10000
-}
\ No newline at end of file
+}
+export function round6(x) {
+  return Math.round((x + Number.EPSILON) * 1000000) / 1000000
+}
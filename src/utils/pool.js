@@ -0,0 +1,47 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Runs worker(item, index) over items with at most `concurrency` in flight.
+// Results are returned in input order.
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length)
+  let next = 0
+  async function lane() {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await worker(items[i], i)
+    }
+  }
+  const lanes = Math.max(1, Math.min(concurrency || 1, items.length))
+  await Promise.all(Array.from({ length: lanes }, lane))
+  return results
+}
+
+// Calls onItem(value) in index order, whatever order emit(index, value) is called in.
+// Lets parallel workers report results as soon as all previous ones are done.
+export function createOrderedEmitter(onItem) {
+  const pending = new Map()
+  let next = 0
+  return function emit(index, value) {
+    pending.set(index, value)
+    while (pending.has(next)) {
+      const v = pending.get(next)
+      pending.delete(next)
+      next++
+      onItem(v)
+    }
+  }
+}
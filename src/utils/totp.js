@@ -0,0 +1,61 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import crypto from 'crypto'
+
+// Time-based one-time passwords (RFC 6238 on top of RFC 4226 HOTP), computed locally
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// Authenticator apps display secrets in groups, lower case or padded: all accepted
+export function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '')
+  let bits = 0
+  let value = 0
+  const out = []
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch)
+    if (idx === -1) throw new Error(`Invalid base32 character "${ch}" in TOTP secret`)
+    value = (value << 5) | idx
+    bits += 5
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return Buffer.from(out)
+}
+
+export function hotp(key, counter, digits = 6, algorithm = 'sha1') {
+  const msg = Buffer.alloc(8)
+  msg.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac(algorithm, key).update(msg).digest()
+  // Dynamic truncation (RFC 4226 §5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const bin = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3]
+  return String(bin % 10 ** digits).padStart(digits, '0')
+}
+
+// secret: base32 string; options: { digits = 6, period = 30, algorithm = 'sha1', timestamp = Date.now() }
+export function totp(secret, { digits = 6, period = 30, algorithm = 'sha1', timestamp = Date.now() } = {}) {
+  const counter = Math.floor(timestamp / 1000 / period)
+  return hotp(base32Decode(secret), counter, digits, String(algorithm).toLowerCase())
+}
+
+// Seconds left before the current code expires
+export function totpSecondsLeft(period = 30, timestamp = Date.now()) {
+  return period - Math.floor(timestamp / 1000) % period
+}
@@ -0,0 +1,36 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { restoreSession } from '../src/crawler/auth-handler.js'
+
+test('a stored cookie the browser rejects makes the restore fail instead of throwing', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'greenit-auth-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const statePath = path.join(dir, 'storageState.json')
+  fs.writeFileSync(statePath, JSON.stringify({ cookies: [{ name: 'sid', value: 'x', domain: '', path: '/' }], origins: [] }))
+  let cleared = false
+  const context = {
+    addCookies: async () => { throw new Error('Cookie should have a valid domain') },
+    clearCookies: async () => { cleared = true }
+  }
+  assert.equal(await restoreSession(context, null, statePath), false)
+  assert.equal(cleared, true)
+})
@@ -0,0 +1,36 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateConfigText } from '../src/utils/config-schema.js'
+
+test('an unknown key is reported at the key, not at its value', () => {
+  const text = 'schemaVersion: 2\nruntime:\n  headles: true\n'
+  const { issues } = validateConfigText(text)
+  const issue = issues.find(i => i.message.includes('unknown key "headles"'))
+  assert.ok(issue, JSON.stringify(issues))
+  assert.equal(issue.line, 3)
+  assert.equal(issue.col, 3)
+  assert.ok(!('atKey' in issue))
+})
+
+test('a wrong value is reported at the value', () => {
+  const { issues } = validateConfigText('schemaVersion: 2\nruntime:\n  headless: maybe\n')
+  const issue = issues.find(i => i.level === 'error')
+  assert.equal(issue.line, 3)
+  assert.equal(issue.col, 13)
+})
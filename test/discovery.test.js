@@ -0,0 +1,63 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { discoverPages } from '../src/crawler/discovery.js'
+
+const xml = (tag, locs) => `<${tag}>${locs.map(l => `<loc>${l}</loc>`).join('')}</${tag}>`
+
+// Context whose request.get serves the given documents
+function fakeContext(docs) {
+  const fetched = []
+  const get = async (url) => {
+    fetched.push(url)
+    const text = docs[url]
+    return {
+      ok: () => text != null,
+      status: () => (text != null ? 200 : 404),
+      body: async () => Buffer.from(text || ''),
+      headers: () => ({ 'content-type': 'application/xml' })
+    }
+  }
+  return { fetched, context: { request: { get } } }
+}
+
+test('a malformed percent-encoding keeps the raw path as page name', async () => {
+  const { context } = fakeContext({
+    'https://ex.com/sitemap.xml': xml('urlset', ['https://ex.com/a%E0%A4%A', 'https://ex.com/caf%C3%A9'])
+  })
+  const { pages } = await discoverPages(context, { product: 'P', discover: { sitemap: 'https://ex.com/sitemap.xml' } }, {})
+  assert.deepEqual(pages.map(p => p.name), ['/a%E0%A4%A', '/café'])
+})
+
+test('sitemap index fetches are paced and counted by politeness', async () => {
+  const { context, fetched } = fakeContext({
+    'https://ex.com/index.xml': xml('sitemapindex', ['https://ex.com/s1.xml', 'https://ex.com/s2.xml']),
+    'https://ex.com/s1.xml': xml('urlset', ['https://ex.com/one']),
+    'https://ex.com/s2.xml': xml('urlset', ['https://ex.com/two'])
+  })
+  const turns = []
+  let spent = 0
+  const politeness = {
+    waitTurn: async (ctx, url) => { turns.push(url) },
+    spend: (n) => { spent += n },
+    exhausted: () => spent >= 2
+  }
+  await discoverPages(context, { product: 'P', discover: { sitemap: 'https://ex.com/index.xml' } }, {}, politeness)
+  assert.deepEqual(turns, ['https://ex.com/index.xml', 'https://ex.com/s1.xml'])
+  assert.deepEqual(fetched, turns)
+})
@@ -0,0 +1,46 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyEmulation, resolveProfile } from '../src/crawler/emulation-profiles.js'
+
+const CONFIGURED_UA = 'Mozilla/5.0 GreenITCrawler-configured'
+
+// Page whose CDP session records the commands it receives
+function fakePage() {
+  const sent = []
+  const cdp = { send: async (method, params) => { sent.push({ method, params }); return {} } }
+  const context = { newCDPSession: async () => cdp }
+  return { sent, page: { context: () => context, evaluate: async () => CONFIGURED_UA } }
+}
+
+const userAgentOverrides = (sent) => sent.filter(c => c.method === 'Emulation.setUserAgentOverride').map(c => c.params.userAgent)
+
+test('a profile without userAgent keeps the configured user agent', async () => {
+  const { page, sent } = fakePage()
+  await applyEmulation(page, resolveProfile('desktop-fibre', {}))
+  await applyEmulation(page, null)
+  assert.deepEqual(userAgentOverrides(sent), [])
+})
+
+test('the configured user agent comes back after a profile with its own', async () => {
+  const { page, sent } = fakePage()
+  const mobile = resolveProfile('mobile-4G-pixel-7', {})
+  await applyEmulation(page, mobile)
+  await applyEmulation(page, resolveProfile('desktop-fibre', {}))
+  assert.deepEqual(userAgentOverrides(sent), [mobile.userAgent, CONFIGURED_UA])
+})
@@ -0,0 +1,47 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { evaluateExpression, ExpressionError } from '../src/kpi/expression.js'
+import { computeCompositeKpi } from '../src/kpi/kpi-scorer.js'
+
+test('comparisons on an unmeasured (null) metric are false', () => {
+  const scope = { lcpMs: null, requests: 40 }
+  assert.equal(evaluateExpression('lcpMs > 2500', scope), false)
+  assert.equal(evaluateExpression('lcpMs <= 2500', scope), false)
+  assert.equal(evaluateExpression('lcpMs / 1000 > 2 || requests > 30', scope), true)
+  assert.equal(evaluateExpression('max(lcpMs, 100) > 50', scope), false)
+  assert.equal(evaluateExpression('lcpMs == null', scope), true)
+})
+
+test('names missing from the scope still throw', () => {
+  assert.throws(() => evaluateExpression('lcpMss > 2500', { lcpMs: null }), ExpressionError)
+})
+
+test('a ceiling on a metric absent from the page does not fire and reports no error', () => {
+  const kpiCfg = { score_ceilings: [{ if: 'lcpMs > 4000', max_score: 40 }, { if: 'unusedJsPct > 50', max_score: 60 }] }
+  const kpi = computeCompositeKpi({ requests: 10, transferKB: 100 }, kpiCfg)
+  assert.deepEqual(kpi.ceilingErrors, [])
+  assert.deepEqual(kpi.ceilingRules, [])
+  const slow = computeCompositeKpi({ requests: 10, transferKB: 100, lcpMs: 5000 }, kpiCfg)
+  assert.equal(slow.ceilingApplied, 40)
+})
+
+test('a rule naming an unknown metric is reported as an error', () => {
+  const kpi = computeCompositeKpi({ requests: 10 }, { score_ceilings: [{ if: 'lcpMss > 4000', max_score: 40 }] })
+  assert.equal(kpi.ceilingErrors.length, 1)
+})
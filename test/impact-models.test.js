@@ -0,0 +1,30 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { modelImpacts } from '../src/kpi/impact-models.js'
+
+const GB = 1024 ** 3
+const kWhPerGB = (onebyte) => modelImpacts({ bytes: GB }, { model: 'onebyte', onebyte }).energy_kWh
+
+// 1byte: 7.2e-11 kWh/byte in the data centre, 4.29e-10 / 1.52e-10 / 8.84e-10 on the network
+test('onebyte intensities stay in the published kWh/GB range', () => {
+  assert.ok(Math.abs(kWhPerGB({ network: 'wired' }) - 0.538) < 0.001)
+  assert.ok(Math.abs(kWhPerGB({ network: 'wifi' }) - 0.241) < 0.001)
+  assert.ok(Math.abs(kWhPerGB({ network: 'mobile' }) - 1.027) < 0.001)
+  assert.ok(Math.abs(kWhPerGB({ network: 'average' }) - 0.602) < 0.001)
+})
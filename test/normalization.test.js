@@ -0,0 +1,79 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalize } from '../src/kpi/normalization.js'
+
+const MODES = ['step', 'linear', 'log']
+
+// Scores must never rise as the value gets worse, whatever the threshold order
+function assertMonotonic(thresholds, higherBetter) {
+  const lo = Math.min(...thresholds), hi = Math.max(...thresholds)
+  const values = []
+  for (let v = lo - (hi - lo); v <= hi + (hi - lo); v += (hi - lo) / 20) values.push(Math.max(0, v))
+  if (higherBetter) values.reverse()
+  for (const mode of MODES) {
+    let prev = Infinity
+    for (const v of values) {
+      const score = normalize(v, thresholds, { higherBetter, mode })
+      assert.ok(score <= prev, `${mode} ${JSON.stringify(thresholds)} at ${v}: ${score} > ${prev}`)
+      prev = score
+    }
+  }
+}
+
+test('lower-is-better metrics keep their direction with ascending and descending thresholds', () => {
+  assertMonotonic([500, 1000, 2000, 4000], false)
+  assertMonotonic([10, 8, 6, 5], false)
+  assertMonotonic([70, 60, 40, 20], false)
+})
+
+test('higher-is-better metrics keep their direction with ascending and descending thresholds', () => {
+  assertMonotonic([20, 40, 60, 80], true)
+  assertMonotonic([80, 60, 40, 20], true)
+})
+
+test('all modes agree on the best and worst ends for descending thresholds', () => {
+  for (const mode of MODES) {
+    assert.equal(normalize(0, [10, 8, 6, 5], { mode }), 100, mode)
+    assert.equal(normalize(20, [10, 8, 6, 5], { mode }), 0, mode)
+    assert.equal(normalize(10, [70, 60, 40, 20], { mode }), 100, mode)
+  }
+})
+
+test('linear mode interpolates between anchors', () => {
+  assert.equal(normalize(750, [500, 1000, 2000, 4000], { mode: 'linear' }), 87.5)
+  assert.equal(normalize(9, [10, 8, 6, 5], { mode: 'linear' }), 37.5)
+  assert.equal(normalize(30, [20, 40, 60, 80], { higherBetter: true, mode: 'linear' }), 37.5)
+})
+
+test('a descending threshold set scores like its ascending order in every mode', () => {
+  const desc = [10, 8, 6, 5]
+  const asc = [5, 6, 8, 10]
+  for (const higherBetter of [false, true]) {
+    for (let v = 0; v <= 14; v += 0.5) {
+      const step = normalize(v, desc, { higherBetter, mode: 'step' })
+      for (const mode of MODES) {
+        const score = normalize(v, desc, { higherBetter, mode })
+        assert.equal(score, normalize(v, asc, { higherBetter, mode }), `${mode} at ${v}`)
+        // Step buckets and the interpolated curves share the same anchors
+        assert.ok(Math.abs(score - step) <= 25, `${mode} ${score} vs step ${step} at ${v}`)
+      }
+    }
+  }
+  assert.equal(normalize(9, desc, { mode: 'step' }), 25)
+})
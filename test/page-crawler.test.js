@@ -0,0 +1,49 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { createWireSizeTracker, joinWireSizes } from '../src/crawler/page-crawler.js'
+
+const URL_A = 'https://ex.com/api'
+
+function record(url) {
+  return { url, transferSize: 1, transferSource: 'header', fromCache: false }
+}
+
+test('same-URL requests get their own wire size whatever order they finish in', () => {
+  const cdp = new EventEmitter()
+  const wire = createWireSizeTracker(cdp)
+  cdp.emit('Network.responseReceived', { requestId: '1', response: { url: URL_A } })
+  cdp.emit('Network.responseReceived', { requestId: '2', response: { url: URL_A } })
+  cdp.emit('Network.loadingFinished', { requestId: '2', encodedDataLength: 2000 })
+  cdp.emit('Network.loadingFinished', { requestId: '1', encodedDataLength: 100 })
+  const responses = [record(URL_A), record(URL_A)]
+  joinWireSizes(responses, wire)
+  assert.deepEqual(responses.map(r => r.transferSize), [100, 2000])
+})
+
+test('a request still loading keeps its estimate without shifting the others', () => {
+  const cdp = new EventEmitter()
+  const wire = createWireSizeTracker(cdp)
+  cdp.emit('Network.responseReceived', { requestId: '1', response: { url: URL_A } })
+  cdp.emit('Network.responseReceived', { requestId: '2', response: { url: URL_A } })
+  cdp.emit('Network.loadingFinished', { requestId: '2', encodedDataLength: 2000 })
+  const responses = [record(URL_A), record(URL_A)]
+  joinWireSizes(responses, wire)
+  assert.deepEqual(responses.map(r => [r.transferSize, r.transferSource]), [[1, 'header'], [2000, 'cdp']])
+})
@@ -0,0 +1,57 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRobots, isAllowed } from '../src/crawler/politeness.js'
+
+const ROBOTS = `
+User-agent: bot
+Disallow: /bot-only
+
+User-agent: GreenIT
+Disallow: /partial-name
+
+User-agent: *
+Disallow: /everyone
+`
+
+const allowed = (robots, p) => isAllowed(robots, 'https://ex.com' + p).allow
+
+test('groups for a fragment of our token do not apply', () => {
+  const robots = parseRobots(ROBOTS, 'GreenITCrawler')
+  assert.equal(allowed(robots, '/bot-only'), true)
+  assert.equal(allowed(robots, '/partial-name'), true)
+  assert.equal(allowed(robots, '/everyone'), false)
+})
+
+test('the product token matches case-insensitively, version stripped', () => {
+  const text = ROBOTS + '\nUser-agent: greenitcrawler\nDisallow: /ours\n'
+  for (const ua of ['GreenITCrawler', 'GREENITCRAWLER', 'GreenITCrawler/1.0']) {
+    const robots = parseRobots(text, ua)
+    assert.equal(allowed(robots, '/ours'), false, ua)
+    // Our own group replaces the '*' one
+    assert.equal(allowed(robots, '/everyone'), true, ua)
+  }
+})
+
+test('several groups for our token are combined', () => {
+  const text = 'User-agent: GreenITCrawler\nDisallow: /a\n\nUser-agent: *\nDisallow: /\n\nUser-agent: greenitcrawler\nDisallow: /b\n'
+  const robots = parseRobots(text, 'GreenITCrawler')
+  assert.equal(allowed(robots, '/a'), false)
+  assert.equal(allowed(robots, '/b'), false)
+  assert.equal(allowed(robots, '/c'), true)
+})
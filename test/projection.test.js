@@ -0,0 +1,38 @@
+/*
+ * Copyright 2025 Arnaud Lefebvre
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { perViewImpacts } from '../src/kpi/projection.js'
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`)
+
+test('without a warm measurement, cached views cost a cold view', () => {
+  const metrics = { energy_kWh: 0.002, co2_g: 1, water_cl: 0.4, dataGB: 0.001, transferKB: 1000 }
+  assert.deepEqual(perViewImpacts(metrics, 0.5), perViewImpacts(metrics, 0))
+})
+
+test('the cache hit ratio scales the transfer share only', () => {
+  const metrics = {
+    energy_kWh: 0.003, deviceEnergy_kWh: 0.001, co2_g: 1.5, deviceCo2_g: 0.5, water_cl: 0.6, dataGB: 0.001,
+    transferKB: 1000, warmTransferKB: 0
+  }
+  const v = perViewImpacts(metrics, 0.5)
+  close(v.energy_kWh, 0.002)
+  close(v.co2_g, 1)
+  close(v.water_cl, 0.4)
+  close(v.dataGB, 0.0005)
+})